@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Command line front end for core/pipeline.js, for batch runs without a browser:
+//   anonymize input.xlsx --profile aorta.json --out out.csv --seed-file key
+// Questions the page would ask are settled by the profile or by flags instead.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import XLSX from 'xlsx';
+import { FEATURE_MAP } from '../config.js';
+import { exportSettingsFromConfig } from '../core/export.js';
+import { MIN_KEYFILE_PASSPHRASE_LENGTH } from '../core/keyfile.js';
+import { runPipeline } from '../core/pipeline.js';
+import { createProfile, DEFAULT_PROFILE_NAME, validateProfile } from '../core/profiles.js';
+import { riskSettingsFromConfig } from '../core/risk.js';
+import { VALIDATION_ACTIONS } from '../core/validation.js';
+import { useXLSX } from '../core/xlsx.js';
+
+useXLSX(XLSX);
+
+const USAGE = `Usage: anonymize <input.xlsx>... [options]
+
+Options:
+  --profile <file>          Mapping profile exported from the page (default: config.js)
+  --sheet <name>            Sheet to read, repeatable (default: the first sheet of each file)
+  --out <file or dir>       Output file, e.g. out.csv, out.xlsx or out.jsonl, or a directory
+                            (default: the current directory)
+  --seed-file <file>        Run seed; the same input, profile, seed and secret give the same
+                            output
+  --secret-file <file>      Project secret for pseudonyms linkable across deliveries
+  --key-passphrase-file <file>
+                            Also write the encrypted re-identification key file
+  --shapes <list>           Output shapes, comma separated: long, wide, summary
+                            (overrides export.shapes)
+  --exclude <file>          Patients to leave out, one personnummer or SHA-256 hash per line
+  --include <file>          Patients to keep whatever the cohort steps say
+  --unmapped <drop|abort>   Columns missing from the profile (overrides unmapped_columns)
+  --date-errors <drop|flag|abort>
+                            Unreadable dates (overrides dates.on_error)
+  --invalid <coerce|blank|drop|abort>
+                            Values breaking a validation rule that sets no action of
+                            its own (overrides validation.on_violation)
+  --verbose                 Print progress and the run's diagnostics
+  --help                    Show this help
+
+Exit codes: 0 written, 1 error, 2 blocked because k is below the profile's minimum.`;
+
+const OUTPUT_FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx', '.jsonl': 'jsonl' };
+
+// The first line of a file, so keys written with a trailing newline still match the page
+async function readSecretFile(path) {
+    const text = (await readFile(path, 'utf8')).split(/\r?\n/)[0];
+    if (!text) throw new Error(`${path} is empty`);
+    return text;
+}
+
+async function loadProfile(path) {
+    if (!path) return createProfile(DEFAULT_PROFILE_NAME, FEATURE_MAP);
+    let profile;
+    try {
+        profile = JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+        throw new Error(`${path} is not valid JSON: ${e.message}`);
+    }
+    validateProfile(profile);
+    return profile;
+}
+
+// Every requested sheet in every file that has it; each file's first sheet when none are named
+function selectSheets(files, names) {
+    const sheets = [];
+    files.forEach((file, index) => {
+        const available = XLSX.read(file.data, { type: 'array', bookSheets: true }).SheetNames;
+        const wanted = names.length > 0 ? names.filter(name => available.includes(name)) : available.slice(0, 1);
+        wanted.forEach(sheet => sheets.push({ file: index, sheet }));
+    });
+    if (names.length > 0) {
+        const missing = names.filter(name => !sheets.some(entry => entry.sheet === name));
+        if (missing.length > 0) throw new Error(`No input file has the sheet ${missing.join(', ')}`);
+    }
+    return sheets;
+}
+
+// Hooks for a run nobody can answer: suggestions are declined, other questions are errors
+function createHooks(profile, verbose) {
+    return {
+        progress(percent, text) {
+            if (verbose) process.stderr.write(`${percent}% · ${text}\n`);
+        },
+        async ask(kind, payload) {
+            if (kind === 'headers') {
+                const list = payload.suggestions.map(match => `  "${match.header}" → ${match.canonical}`).join('\n');
+                process.stderr.write(`Warning: suggested column matches were not applied; add them as aliases in the profile or set header_matching.fuzzy to "accept":\n${list}\n`);
+                return { matches: [], profile };
+            }
+            if (kind === 'unmapped') {
+                throw new Error(`Columns not listed in the profile: ${payload.unmapped.join(', ')}. Map them or pass --unmapped drop`);
+            }
+            if (kind === 'validation') {
+                const list = payload.rules.map(rule => `  ${rule.column} (${rule.rule}): ` +
+                    Object.values(rule.problems).map(problem => `${problem.count} ${problem.label}`).join(', ')).join('\n');
+                throw new Error(`Values breaking the validation rules:\n${list}\nPass --invalid coerce, blank, drop or abort`);
+            }
+            if (kind === 'dates') {
+                throw new Error(`${payload.count} values in ${payload.dateCol} could not be read as ${payload.format}. Pass --date-errors drop, flag or abort`);
+            }
+            throw new Error(`Unknown question from the run: ${kind}`);
+        },
+        preview: async () => true
+    };
+}
+
+async function main() {
+    const { values: options, positionals: inputs } = parseArgs({
+        allowPositionals: true,
+        options: {
+            profile: { type: 'string' },
+            sheet: { type: 'string', multiple: true, default: [] },
+            out: { type: 'string' },
+            'seed-file': { type: 'string' },
+            'secret-file': { type: 'string' },
+            'key-passphrase-file': { type: 'string' },
+            shapes: { type: 'string' },
+            exclude: { type: 'string' },
+            include: { type: 'string' },
+            unmapped: { type: 'string' },
+            'date-errors': { type: 'string' },
+            invalid: { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (inputs.length === 0) {
+        console.error(USAGE);
+        return 1;
+    }
+    if (options.unmapped && !['drop', 'abort'].includes(options.unmapped)) {
+        throw new Error('--unmapped must be drop or abort');
+    }
+    if (options['date-errors'] && !['drop', 'flag', 'abort'].includes(options['date-errors'])) {
+        throw new Error('--date-errors must be drop, flag or abort');
+    }
+    if (options.invalid && !VALIDATION_ACTIONS.includes(options.invalid)) {
+        throw new Error(`--invalid must be ${VALIDATION_ACTIONS.join(', ')}`);
+    }
+
+    const profile = await loadProfile(options.profile);
+    const config = profile.feature_map._config;
+    if (options.unmapped) config.unmapped_columns = options.unmapped;
+    if (options['date-errors']) config.dates = { ...config.dates, on_error: options['date-errors'] };
+    if (options.invalid) config.validation = { ...config.validation, on_violation: options.invalid };
+
+    // --out with a known extension names the output file and picks its format
+    let outDir = options.out || '.';
+    let baseName = null;
+    const exportSettings = exportSettingsFromConfig(config);
+    const outFormat = options.out && OUTPUT_FORMATS[extname(options.out).toLowerCase()];
+    if (outFormat) {
+        outDir = dirname(options.out);
+        baseName = basename(options.out, extname(options.out));
+        exportSettings.formats = [outFormat];
+    }
+    if (options.shapes) exportSettings.shapes = options.shapes.split(',').map(shape => shape.trim());
+
+    const keyFilePassphrase = options['key-passphrase-file'] ? await readSecretFile(options['key-passphrase-file']) : null;
+    if (keyFilePassphrase && keyFilePassphrase.length < MIN_KEYFILE_PASSPHRASE_LENGTH) {
+        throw new Error(`The key file passphrase must be at least ${MIN_KEYFILE_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const patientLists = {};
+    for (const kind of ['exclude', 'include']) {
+        if (options[kind]) patientLists[kind] = { name: basename(options[kind]), text: await readFile(options[kind], 'utf8') };
+    }
+
+    const files = await Promise.all(inputs.map(async path => ({ name: basename(path), data: new Uint8Array(await readFile(path)) })));
+    const riskSettings = riskSettingsFromConfig(profile.feature_map);
+    const result = await runPipeline({
+        files,
+        sheets: selectSheets(files, options.sheet),
+        seed: options['seed-file'] ? await readSecretFile(options['seed-file']) : '',
+        secret: options['secret-file'] ? await readSecretFile(options['secret-file']) : '',
+        keyFilePassphrase,
+        profile,
+        cohort: config.cohort || { combine: 'and', steps: [] },
+        patientLists,
+        riskSettings,
+        exportSettings,
+        baseName
+    }, createHooks(profile, options.verbose));
+
+    if (options.verbose) process.stderr.write(result.diagnostics.join('\n\n') + '\n');
+    const { k, minK } = result.riskReport;
+    if (!result.riskReport.passes) {
+        if (riskSettings.belowMinK === 'block') {
+            console.error(`Blocked: k = ${k} is below the minimum of ${minK}. Nothing was written.`);
+            return 2;
+        }
+        console.error(`Warning: k = ${k} is below the minimum of ${minK}.`);
+    }
+
+    await mkdir(outDir, { recursive: true });
+    for (const file of result.downloads) {
+        const path = join(outDir, file.name);
+        await writeFile(path, typeof file.content === 'string' ? file.content : Buffer.from(file.content));
+        console.log(path);
+    }
+    console.error(`Processed ${result.rows} rows, ${result.columns} columns in output.`);
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Builds dist/index.html and dist/lookup.html with their styles, scripts and the worker
+// inlined, so the tool runs from a USB stick or a shared drive without a server:
+//   npm run build
+// Each page gets its own CSP, allowing exactly its inline script and style by hash.
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build } from 'esbuild';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const PAGES = { 'index.html': 'script.js', 'lookup.html': 'ui/lookup.js' };
+
+const sha = (algorithm, text) => `${algorithm}-${createHash(algorithm).update(text).digest('base64')}`;
+
+// The hashes in vendor/README.md, by file under vendor/
+export async function readVendoredHashes(root = ROOT) {
+    const readme = await readFile(join(root, 'vendor', 'README.md'), 'utf8');
+    const hashes = {};
+    for (const [, file, hash] of readme.matchAll(/^\| `([^`]+)` \|.*\| `(sha384-[^`]+)` \|$/gm)) hashes[file] = hash;
+    return hashes;
+}
+
+export async function checkVendoredFiles(root = ROOT) {
+    const hashes = await readVendoredHashes(root);
+    for (const [file, hash] of Object.entries(hashes)) {
+        const actual = sha('sha384', await readFile(join(root, 'vendor', file)));
+        if (actual !== hash) throw new Error(`vendor/${file} does not match its hash in vendor/README.md (${actual})`);
+    }
+    return hashes;
+}
+
+async function bundle(root, entry, format) {
+    const result = await build({
+        entryPoints: [join(root, entry)],
+        bundle: true,
+        format,
+        minify: true,
+        legalComments: 'eof',
+        target: 'es2020',
+        write: false,
+        logLevel: 'silent'
+    });
+    // Inside a <script> element, "</script" would end it early; in valid JS it can only
+    // appear in strings, regular expressions and comments, where "<\/" means the same
+    const code = result.outputFiles[0].text.replace(/<\/(script)/gi, '<\\/$1');
+    if (/<script/i.test(code)) throw new Error(`${entry} contains "<script", which cannot be inlined`);
+    return code;
+}
+
+export async function buildPage(page, root = ROOT) {
+    let html = await readFile(join(root, page), 'utf8');
+    const script = await bundle(root, PAGES[page], 'esm');
+    const style = await readFile(join(root, 'styles.css'), 'utf8');
+    const icon = await readFile(join(root, 'icons', 'icon.svg'), 'utf8');
+    const usesWorker = page === 'index.html';
+    const csp = [
+        "default-src 'none'",
+        `script-src '${sha('sha256', script)}'`,
+        usesWorker ? 'worker-src blob:' : null,
+        `style-src '${sha('sha256', style)}'`,
+        'img-src data:',
+        "connect-src 'none'",
+        "base-uri 'none'",
+        "form-action 'none'"
+    ].filter(Boolean).join('; ');
+
+    // The manifest and the preloaded library only make sense for the served copy
+    html = html
+        .replace(/\n\s*<link rel="(modulepreload|manifest)"[^>]*>/g, '')
+        .replace(/<meta http-equiv="Content-Security-Policy" content="[^"]*">/, () => `<meta http-equiv="Content-Security-Policy" content="${csp}">`)
+        .replace(/href="icons\/icon\.svg"/, () => `href="data:image/svg+xml,${encodeURIComponent(icon)}"`)
+        .replace('<link rel="stylesheet" href="styles.css">', () => `<style>${style}</style>`);
+    const worker = usesWorker ? `<script type="text/plain" id="workerSource">${await bundle(root, 'worker.js', 'iife')}</script>\n    ` : '';
+    html = html.replace(`<script type="module" src="${PAGES[page]}"></script>`, () => `${worker}<script type="module">${script}</script>`);
+    return html;
+}
+
+export async function buildSingleFile(root = ROOT) {
+    await checkVendoredFiles(root);
+    const pages = {};
+    for (const page of Object.keys(PAGES)) pages[page] = await buildPage(page, root);
+    return pages;
+}
+
+async function main() {
+    const pages = await buildSingleFile();
+    const outDir = join(ROOT, 'dist');
+    await mkdir(outDir, { recursive: true });
+    for (const [page, html] of Object.entries(pages)) {
+        const path = join(outDir, page);
+        await writeFile(path, html);
+        console.log(`${path} (${Math.round(html.length / 1024)} kB)`);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Writes a synthetic echo workbook with every column of a mapping profile, for demos and
+// for testing the tool on large or messy files without patient data:
+//   synthesize --patients 5000 --out synthetic.xlsx
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import XLSX from 'xlsx';
+import { FEATURE_MAP } from '../config.js';
+import { validateProfile } from '../core/profiles.js';
+import { describeSyntheticData, SYNTH_DEFAULTS, syntheticWorkbook } from '../core/synth.js';
+import { useXLSX } from '../core/xlsx.js';
+
+useXLSX(XLSX);
+
+const { messiness } = SYNTH_DEFAULTS;
+const USAGE = `Usage: synthesize [options]
+
+Options:
+  --profile <file>          Mapping profile whose columns are written (default: config.js)
+  --out <file>              Workbook to write (default: synthetic_<patients>_patients.xlsx)
+  --patients <n>            Number of patients (default: ${SYNTH_DEFAULTS.patients})
+  --visits <min-max>        Visits per patient (default: ${SYNTH_DEFAULTS.visits.join('-')})
+  --seed <text>             The same options and seed give the same workbook
+                            (default: ${SYNTH_DEFAULTS.seed})
+  --vmax <share>            Patients with Vmax >= 2.0 m/s, 0-1 (default: ${SYNTH_DEFAULTS.vmax_prevalence})
+  --indik <code=share,...>  Patients per INDIK code, e.g. 8=0.3,3=0.1; the rest are spread
+                            over the other codes
+  --mixed-dates <share>     Dates in another format (default: ${messiness.mixed_dates})
+  --nine-digit-dates <share>
+                            Dates with a digit typed twice (default: ${messiness.nine_digit_dates})
+                            Mixed and nine-digit dates fail the date check; the
+                            profile's dates.on_error decides what happens to their rows
+  --decimal-commas <share>  Decimals written with a comma (default: ${messiness.decimal_commas})
+  --pnr-in-text <share>     Övrigt naming the patient (default: ${messiness.pnr_in_text})
+  --renamed-headers <n>     Headers written another way (default: ${messiness.renamed_headers})
+  --duplicated-headers <n>  Columns written twice (default: ${messiness.duplicated_headers})
+  --clean                   No messiness; the flags above still apply
+  --help                    Show this help`;
+
+const MESSINESS_FLAGS = {
+    'mixed-dates': 'mixed_dates',
+    'nine-digit-dates': 'nine_digit_dates',
+    'decimal-commas': 'decimal_commas',
+    'pnr-in-text': 'pnr_in_text',
+    'renamed-headers': 'renamed_headers',
+    'duplicated-headers': 'duplicated_headers'
+};
+
+function parseNumber(value, flag) {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) throw new Error(`--${flag} must be a number`);
+    return number;
+}
+
+function parseVisits(value) {
+    const match = value.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error('--visits must be a number or a range like 1-8');
+    return [Number(match[1]), Number(match[2] || match[1])];
+}
+
+function parseIndik(value) {
+    const prevalence = {};
+    value.split(',').filter(Boolean).forEach(entry => {
+        const [code, share] = entry.split('=');
+        if (!code || share == null) throw new Error(`--indik entry "${entry}" is not code=share`);
+        prevalence[code.trim()] = parseNumber(share, 'indik');
+    });
+    return prevalence;
+}
+
+async function loadFeatureMap(path) {
+    if (!path) return FEATURE_MAP;
+    let profile;
+    try {
+        profile = JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+        throw new Error(`${path} is not valid JSON: ${e.message}`);
+    }
+    validateProfile(profile);
+    return profile.feature_map;
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            profile: { type: 'string' },
+            out: { type: 'string' },
+            patients: { type: 'string' },
+            visits: { type: 'string' },
+            seed: { type: 'string' },
+            vmax: { type: 'string' },
+            indik: { type: 'string' },
+            ...Object.fromEntries(Object.keys(MESSINESS_FLAGS).map(flag => [flag, { type: 'string' }])),
+            clean: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const settings = {
+        messiness: options.clean ? Object.fromEntries(Object.keys(messiness).map(key => [key, 0])) : {}
+    };
+    if (options.patients) settings.patients = parseNumber(options.patients, 'patients');
+    if (options.visits) settings.visits = parseVisits(options.visits);
+    if (options.seed) settings.seed = options.seed;
+    if (options.vmax) settings.vmax_prevalence = parseNumber(options.vmax, 'vmax');
+    if (options.indik) settings.indik_prevalence = parseIndik(options.indik);
+    Object.entries(MESSINESS_FLAGS).forEach(([flag, key]) => {
+        if (options[flag]) settings.messiness[key] = parseNumber(options[flag], flag);
+    });
+
+    const workbook = syntheticWorkbook(await loadFeatureMap(options.profile), settings);
+    const path = options.out || workbook.name;
+    await writeFile(path, workbook.data);
+    console.log(path);
+    describeSyntheticData(workbook.report).forEach(line => console.error(line));
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
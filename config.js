@@ -1,8 +1,126 @@
 // Feature mapping configuration
-const FEATURE_MAP = {
-    "_config": { "vmax_threshold": 2.0 },
-    "DATUM": "keep", // With the condition that this is replaced with a different way to keep track of time than dates
-    "PNR": "keep", // With the condition that PNR is replaced with a randomized number
+// Actions: "keep", "rm", a number (uniform noise amplitude), or "scrub", which keeps a
+// free-text column but redacts personnummer, dates, phone numbers, e-mail addresses
+// and names from the NAMN column.
+// Transforms are objects with a "type", or a list of them applied in order:
+//   { "type": "bin", "width": 5, "top": 90 }           5-year bands, 90 and above as "90+"
+//   { "type": "bin", "quantiles": 4 }                  quartile bands ("edges": [...] for fixed cut points)
+//   { "type": "topcode", "top": 90 }                   values >= 90 become "90+"
+//   { "type": "bottomcode", "bottom": 18 }             values < 18 become "<18"
+//   { "type": "round", "step": 5 }                     nearest multiple of 5
+//   { "type": "recode", "map": { "1": "M" }, "default": "other" }
+//   { "type": "noise", "amplitude": 2 }                the same as the number 2
+//   { "type": "noise", "amplitude": 2, "min": 0, "max": 100 }  kept within 0-100, e.g. for EF
+//   { "type": "noise", "model": "gaussian", "sd": 1.5 }
+//   { "type": "noise", "model": "relative", "percent": 5 }
+//   { "type": "noise", "model": "laplace", "epsilon": 0.5, "sensitivity": 10 }
+// Noise also takes "decimals", "min"/"max" clamps and "patient_correlation" (0-1): the
+// share of the noise drawn once per patient, so repeated visits cannot be averaged out.
+export const FEATURE_MAP = {
+    "_config": {
+        // Strict mode: columns not listed here are never exported as-is.
+        // "unmapped_columns" is "review" (ask in the UI), "drop" or "abort".
+        "strict_columns": true,
+        "unmapped_columns": "review",
+        // Other headers used for a column in source files, matched ignoring case
+        "aliases": {
+            "Vmax (m/s)": ["Vmax", "V max", "Vmax(m/s)", "Vmax (m / s)", "Vmax ( m/s )", "V max (m/s)", "Vmax [m/s]"],
+            "LÄNGD": ["Längd", "LÄNGD (cm)", "Längd (cm)"],
+            "VIKT": ["Vikt", "VIKT (kg)", "Vikt (kg)"]
+        },
+        // Headers that are neither listed nor aliases are compared ignoring accents, units
+        // and small typos. "fuzzy" is "confirm" (ask in the UI), "accept" or "off";
+        // matches scoring below "min_similarity" (0-1) are not suggested.
+        "header_matching": { "fuzzy": "confirm", "min_similarity": 0.8 },
+        // PNR is replaced by the first "length" hex characters of HMAC-SHA-256 under the
+        // project secret entered in the UI
+        "pseudonym": { "length": 16 },
+        // DATUM format: "auto" (detected once per file) or one of YYYY-MM-DD, ISO datetime,
+        // YYYYMMDD, DD/MM/YYYY, MM/DD/YYYY, YYMMDD, CC-YYMMDD (20-011028), Excel serial.
+        // "on_error" decides what happens to unreadable dates: "ask", "drop" (the rows),
+        // "flag" or "abort".
+        "dates": { "format": "auto", "on_error": "ask" },
+        // Plausibility checks on the input, before anything is anonymized. A rule's "type" is
+        // "number", "integer" or "category"; numbers take "min"/"max" and a "unit" that may be
+        // written after the value ("55 %"), categories a list of "values". With "decimal_comma"
+        // "0,45" reads as 0.45, in ruled columns and in every column with noise or another
+        // numeric transform. "on_violation" settles values breaking a rule: "ask" (in the UI),
+        // "coerce" (to the bound, rounded or to the matching category), "blank", "drop" (the
+        // row) or "abort"; a rule may set its own.
+        "validation": {
+            "on_violation": "ask",
+            "decimal_comma": true,
+            "rules": {
+                "Age": { "type": "integer", "min": 0, "max": 110 },
+                "Sex": { "type": "category", "values": ["K", "M"] },
+                "LÄNGD": { "type": "number", "unit": "cm", "min": 120, "max": 220 },
+                "VIKT": { "type": "number", "unit": "kg", "min": 30, "max": 250 },
+                "BTS": { "type": "integer", "unit": "mmHg", "min": 60, "max": 260 },
+                "BTD": { "type": "integer", "unit": "mmHg", "min": 30, "max": 150 },
+                "PULS": { "type": "integer", "min": 25, "max": 220 },
+                "EF": { "type": "number", "unit": "%", "min": 5, "max": 85 },
+                "Vmax (m/s)": { "type": "number", "unit": "m/s", "min": 0.5, "max": 7 }
+            }
+        },
+        // Several sheets or files: sheets sharing at least "stack_similarity" (0-1) of their
+        // columns are stacked, the others joined on PNR and DATUM up to "tolerance_days" apart.
+        // "unmatched" joined rows are kept as rows of their own ("keep") or dropped ("drop").
+        "merge": { "stack_similarity": 0.8, "tolerance_days": 0, "unmatched": "keep" },
+        // Total ε allowed over all Laplace noise columns (null for no limit)
+        "noise": { "epsilon_budget": null },
+        // Checked after the transforms: a violating "left" value is moved to the bound.
+        // "right" is a column name or a number; operators >, >=, <, <=.
+        "constraints": [
+            { "left": "BTS", "op": ">", "right": "BTD" },
+            { "left": "E' (cm/s)", "op": ">", "right": 0 },
+            { "left": "A' (cm/s)", "op": ">", "right": 0 }
+        ],
+        // Output files: "formats" from "csv", "xlsx", "jsonl". The CSV "delimiter" is ",", ";" or
+        // "\t", "decimal" is "." or ",", "quoting" is "all" or "minimal". "dictionary" adds a
+        // data dictionary of the output columns. "shapes" from "long" (one row per visit),
+        // "wide" (one row per patient, columns suffixed _v1 up to "max_visits") and "summary"
+        // (one row per patient: first, last, min, max and slope per year of its "columns";
+        // needs DATUM as days). Wide and summary tables also get the follow-up in days.
+        "export": {
+            "formats": ["csv"],
+            "csv": { "delimiter": ",", "decimal": ".", "quoting": "all" },
+            "dictionary": false,
+            "shapes": ["long"],
+            "wide": { "max_visits": 10 },
+            "summary": { "columns": ["EF", "GLS", "Vmax (m/s)", "TAPSE"] }
+        },
+        // Rows shown in the preview before export
+        "preview": { "rows": 100 },
+        // Columns whose correlations are compared before and after anonymization
+        "utility": { "key_columns": ["EF", "GLS", "Vmax (m/s)", "TAPSE"] },
+        // Disclosure risk check on the output. "below_min_k" is "warn" (ask before
+        // downloading) or "block" (no download while k < min_k).
+        "risk": {
+            "quasi_identifiers": ["Age", "Sex", "LÄNGD", "VIKT"],
+            "include_visit_count": true,
+            "sensitive": null,
+            "min_k": 5,
+            "below_min_k": "warn"
+        },
+        // Patient-level cohort steps, applied in order. "combine" is "and" (every step
+        // must match) or "or" (any step). Step types: threshold, category, visits.
+        "cohort": {
+            "combine": "and",
+            "steps": [
+                { "type": "threshold", "column": "Vmax (m/s)", "op": ">=", "value": 2.0, "match": "any" },
+                { "type": "visits", "min": 5 }
+            ]
+        }
+    },
+    // DATUM is never exported as a date. "mode" is one of:
+    //   "days_since_first"   days since the patient's first visit (the default)
+    //   "visit_number"       1, 2, 3... in date order
+    //   "shift"              real dates moved by one random offset per patient, up to ±"max_days" (30)
+    //   "year", "year_month" truncated dates
+    //   "days_since_index"   days since the first visit matching "index", a threshold or category
+    //                        condition like a cohort step; empty for patients without one
+    "DATUM": { "type": "temporal", "mode": "days_since_first" },
+    "PNR": "keep", // Replaced with a keyed pseudonym, see _config.pseudonym
     "Age": "keep",
     "Sex": "keep",
     "NAMN": "rm",
@@ -11,11 +129,11 @@ const FEATURE_MAP = {
     "VIKT": 2.0,
     "BMA/LÄK": "rm",
     "BMA_eko": "rm",
-    "INDIK": "keep", // INDIK? How does this work?
+    "INDIK": "scrub", // INDIK? How does this work?
     "BTS": 2.0,
     "BTD": 2.0,
     "PULS": 2.0,
-    "Vilo-EKG (när detta finns)": "keep",
+    "Vilo-EKG (när detta finns)": "scrub",
     "Förmaksflimmer": "keep",
     "Sept": "keep",
     "Bakv": "keep",
@@ -79,6 +197,5 @@ const FEATURE_MAP = {
     "PIInt": "keep",
     "PIUtbredn": "keep",
     "VF storlek": "keep",
-    "Övrigt": "keep"
+    "Övrigt": "scrub"
 };
-const VMAX_THRESHOLD = FEATURE_MAP._config.vmax_threshold;
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Per-column anonymization: each column is computed on its own so the preview can
+// re-run one column when its action changes
+import { resolveColumn } from './columns.js';
+import { enforceConstraints } from './noise.js';
+import { createRandom } from './random.js';
+import { scrubFreeText } from './redact.js';
+import { actionType, applyTransforms, validateFeatureMap } from './transforms.js';
+
+// The FEATURE_MAP entry for every column it matches, keyed by the actual column name
+export function columnActions(columns, featureMap) {
+    const actions = new Map();
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_')) continue;
+        const col = resolveColumn(columns, mapCol);
+        if (col && !actions.has(col)) actions.set(col, { mapCol, action });
+    }
+    return actions;
+}
+
+// Each column draws from its own stream, so changing one column leaves the others as they were
+function anonymizeColumn(base, col, action, ctx) {
+    if (actionType(action) === 'rm') return { removed: true };
+
+    const rows = base.map(row => ({ [col]: row[col] }));
+    const redactions = scrubFreeText(rows, [col], { [col]: action }, ctx.names)[col] || null;
+    const transforms = applyTransforms(rows, [col], { [col]: action }, {
+        random: createRandom(`${ctx.seed}:${col}`),
+        patients: ctx.patients
+    });
+    return {
+        removed: false,
+        values: rows.map(row => row[col]),
+        redactions,
+        transform: transforms[col] || null
+    };
+}
+
+// base: rows with pseudonyms and anonymized dates. ctx: { seed, names, patients, fixed, progress },
+// where "fixed" lists the columns already handled (PNR, DATUM) and progress(done, total) is optional
+export function createColumnStage(base, columns, featureMap, ctx) {
+    const mapped = columnActions(columns, featureMap);
+    const actions = new Map();
+    const results = new Map();
+
+    const run = col => results.set(col, anonymizeColumn(base, col, actions.get(col), ctx));
+    const stageColumns = columns.filter(col => !ctx.fixed.includes(col));
+    stageColumns.forEach((col, i) => {
+        if (ctx.progress) ctx.progress(i, stageColumns.length);
+        actions.set(col, mapped.has(col) ? mapped.get(col).action : 'keep');
+        run(col);
+    });
+
+    return {
+        actions,
+
+        setAction(col, action) {
+            if (ctx.fixed.includes(col)) throw new Error(`${col} is always replaced and has no action to change`);
+            validateFeatureMap({ [col]: action });
+            actions.set(col, action);
+            run(col);
+        },
+
+        // FEATURE_MAP with the current actions, under the names the entries were given
+        featureMap() {
+            const result = { ...featureMap };
+            actions.forEach((action, col) => {
+                result[mapped.has(col) ? mapped.get(col).mapCol : col] = action;
+            });
+            return result;
+        },
+
+        assemble(constraints) {
+            const outputColumns = columns.filter(col => !(results.has(col) && results.get(col).removed));
+            const data = base.map((row, i) => {
+                const out = {};
+                outputColumns.forEach(col => {
+                    out[col] = results.has(col) ? results.get(col).values[i] : row[col];
+                });
+                return out;
+            });
+
+            const removed = [];
+            const transforms = {};
+            const redactions = {};
+            results.forEach((result, col) => {
+                if (result.removed) removed.push(col);
+                if (result.transform) transforms[col] = result.transform;
+                if (result.redactions) redactions[col] = result.redactions;
+            });
+
+            return {
+                data,
+                columns: outputColumns,
+                removed,
+                transforms,
+                redactions,
+                constraints: enforceConstraints(data, outputColumns, constraints)
+            };
+        }
+    };
+}
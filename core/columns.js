@@ -0,0 +1,165 @@
+// Column mapping against FEATURE_MAP: header clean-up, aliases, fuzzy suggestions and unmapped columns
+
+export function findColumnCaseInsensitive(columns, targetCol) {
+    const targetLower = targetCol.toLowerCase().trim();
+    return columns.find(col => col.toLowerCase().trim() === targetLower);
+}
+
+// Exact header first, so "Aorta" and "AORTA" can be mapped separately
+export function resolveColumn(columns, name) {
+    if (columns.includes(name)) return name;
+    return findColumnCaseInsensitive(columns, name) || null;
+}
+
+// Repeated headers get ".1", ".2"... in order of appearance, the names FEATURE_MAP uses
+// for them (e.g. "VTI (cm).1"). Returns { names, duplicates: { name: [renamed...] } }.
+export function dedupeHeaders(headers) {
+    const taken = new Set(headers);
+    const seen = new Set();
+    const duplicates = {};
+    const names = headers.map(name => {
+        if (!seen.has(name)) {
+            seen.add(name);
+            return name;
+        }
+        let n = 1;
+        while (taken.has(`${name}.${n}`)) n++;
+        const renamed = `${name}.${n}`;
+        taken.add(renamed);
+        (duplicates[name] = duplicates[name] || []).push(renamed);
+        return renamed;
+    });
+    return { names, duplicates };
+}
+
+// Lowercase, without diacritics, bracketed or trailing units and punctuation: "LÄNGD (cm)" → "langd"
+export function foldHeader(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s*[([][^)\]]*[)\]]/g, ' ')
+        .replace(/\s(cm|mm|m\/s|cm\/s|ms|mmhg|kg|ml|%)$/, ' ')
+        .replace(/[^a-z0-9']+/g, ' ')
+        .trim();
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 when the folded names are equal, falling towards 0 with the edit distance
+function headerSimilarity(header, canonical) {
+    const a = foldHeader(header);
+    const b = foldHeader(canonical);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Pairs headers that match no FEATURE_MAP entry with entries that match no header.
+// Aliases from _config.aliases are certain; fuzzy matches are suggestions with a score.
+// Returns { aliases: { header: canonical }, suggestions: [{ header, canonical, similarity }] }.
+export function matchHeaders(columns, featureMap) {
+    const config = featureMap._config || {};
+    const settings = config.header_matching || {};
+    const unmatchedHeaders = findUnmappedColumns(columns, featureMap);
+    const missing = Object.keys(featureMap).filter(mapCol => !mapCol.startsWith('_') && !resolveColumn(columns, mapCol));
+
+    const aliases = {};
+    const aliasTable = config.aliases || {};
+    for (const canonical of [...missing]) {
+        const names = (aliasTable[canonical] || []).map(alias => alias.toLowerCase().trim());
+        const header = unmatchedHeaders.find(col => !aliases[col] && names.includes(col.toLowerCase().trim()));
+        if (header) {
+            aliases[header] = canonical;
+            missing.splice(missing.indexOf(canonical), 1);
+        }
+    }
+
+    const suggestions = [];
+    if (settings.fuzzy !== 'off') {
+        const minSimilarity = settings.min_similarity != null ? settings.min_similarity : 0.8;
+        const candidates = [];
+        unmatchedHeaders.filter(col => !aliases[col]).forEach(header => {
+            missing.forEach(canonical => {
+                const similarity = headerSimilarity(header, canonical);
+                if (similarity >= minSimilarity) candidates.push({ header, canonical, similarity });
+            });
+        });
+        // Best pairs first; each header and each entry is used once
+        candidates.sort((a, b) => b.similarity - a.similarity);
+        const usedHeaders = new Set();
+        const usedCanonical = new Set();
+        candidates.forEach(candidate => {
+            if (usedHeaders.has(candidate.header) || usedCanonical.has(candidate.canonical)) return;
+            usedHeaders.add(candidate.header);
+            usedCanonical.add(candidate.canonical);
+            suggestions.push(candidate);
+        });
+    }
+
+    return { aliases, suggestions };
+}
+
+// Renames columns in place, in the rows (keeping the key order) and in the column list
+export function renameColumns(data, columns, renames) {
+    const rename = key => (Object.prototype.hasOwnProperty.call(renames, key) ? renames[key] : key);
+    if (Object.keys(renames).length === 0) return;
+    data.forEach((row, i) => {
+        const renamed = {};
+        for (const [key, value] of Object.entries(row)) renamed[rename(key)] = value;
+        data[i] = renamed;
+    });
+    columns.forEach((col, i) => { columns[i] = rename(col); });
+}
+
+export function findUnmappedColumns(columns, featureMap) {
+    const mapped = new Set();
+    for (const mapCol of Object.keys(featureMap)) {
+        if (mapCol.startsWith('_')) continue;
+        const actualCol = resolveColumn(columns, mapCol);
+        if (actualCol) mapped.add(actualCol);
+    }
+    return columns.filter(col => !mapped.has(col));
+}
+
+export function sampleColumnValues(data, column, limit = 3) {
+    const samples = new Set();
+    for (const row of data) {
+        const value = row[column];
+        if (value == null || String(value).trim() === '') continue;
+        samples.add(String(value));
+        if (samples.size >= limit) break;
+    }
+    return [...samples];
+}
+
+// Resolves unmapped columns without asking: strict "drop" removes them, strict
+// "abort" stops the run, non-strict mode passes them through like "keep".
+export function resolveUnmappedColumns(unmapped, config) {
+    if (unmapped.length === 0) return {};
+
+    if (config.strict_columns === false) {
+        return Object.fromEntries(unmapped.map(col => [col, 'keep']));
+    }
+    if (config.unmapped_columns === 'drop') {
+        return Object.fromEntries(unmapped.map(col => [col, 'rm']));
+    }
+    if (config.unmapped_columns === 'abort') {
+        throw new Error(`Columns not listed in FEATURE_MAP: ${unmapped.join(', ')}. Map them in the mapping profile or change unmapped_columns.`);
+    }
+    return null;
+}
@@ -0,0 +1,149 @@
+// Date parsing: one format per column, dates as whole days since 1970-01-01 (UTC)
+
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_DAY = -25569;  // 1899-12-30
+
+function toEpochDay(year, month, day) {
+    if (year < 1900 || year > 2100 || month < 1 || month > 12 || day < 1) return null;
+    const time = Date.UTC(year, month - 1, day);
+    if (new Date(time).getUTCDate() !== day) return null;  // e.g. 2021-02-30
+    return time / MS_PER_DAY;
+}
+
+function fromEpochDay(day) {
+    return new Date(day * MS_PER_DAY);
+}
+
+export function formatEpochDay(day) {
+    return fromEpochDay(day).toISOString().substring(0, 10);
+}
+
+function parseExcelSerial(value) {
+    const serial = typeof value === 'number' ? value : parseFloat(value);
+    if (isNaN(serial) || serial < 1 || serial > 100000) return null;
+    return EXCEL_EPOCH_DAY + Math.floor(serial);
+}
+
+// Listed in the order auto-detection prefers them when several parse equally well
+const DATE_FORMATS = {
+    'YYYY-MM-DD': {
+        pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/,
+        parts: m => [m[1], m[2], m[3]]
+    },
+    'ISO datetime': {
+        pattern: /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/,
+        parts: m => [m[1], m[2], m[3]]
+    },
+    'YYYYMMDD': {
+        pattern: /^(\d{4})(\d{2})(\d{2})$/,
+        parts: m => [m[1], m[2], m[3]]
+    },
+    'DD/MM/YYYY': {
+        pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/,
+        parts: m => [m[3], m[2], m[1]]
+    },
+    'MM/DD/YYYY': {
+        pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/,
+        parts: m => [m[3], m[1], m[2]]
+    },
+    'YYMMDD': {
+        pattern: /^(\d{2})(\d{2})(\d{2})$/,
+        parts: m => [(parseInt(m[1], 10) < 50 ? '20' : '19') + m[1], m[2], m[3]]
+    },
+    // The century, a hyphen and YYMMDD, as in 20-011028 for 2001-10-28
+    'CC-YYMMDD': {
+        pattern: /^(\d{2})-(\d{2})(\d{2})(\d{2})$/,
+        parts: m => [m[1] + m[2], m[3], m[4]]
+    },
+    'Excel serial': {
+        pattern: /^\d{1,6}(?:\.\d+)?$/,
+        parse: parseExcelSerial
+    }
+};
+
+// Returns the epoch day, or null when the value does not fit the format.
+// Date objects (from cellDates) are accepted whatever the format.
+export function parseDateValue(value, format) {
+    if (value == null) return null;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return toEpochDay(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const spec = DATE_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown date format "${format}". Use one of: ${Object.keys(DATE_FORMATS).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        return format === 'Excel serial' ? parseExcelSerial(value) : null;
+    }
+
+    // Zero-width spaces come along when dates are pasted from other programs
+    const text = String(value).replace(/[\u200b-\u200d\ufeff]/g, '').trim();
+    const match = text.match(spec.pattern);
+    if (!match) return null;
+    if (spec.parse) return spec.parse(text);
+
+    const [year, month, day] = spec.parts(match).map(part => parseInt(part, 10));
+    return toEpochDay(year, month, day);
+}
+
+function detectDateFormat(values, sampleSize = 500) {
+    const sample = [];
+    for (const value of values) {
+        if (value == null || value instanceof Date || String(value).trim() === '') continue;
+        sample.push(value);
+        if (sample.length >= sampleSize) break;
+    }
+    if (sample.length === 0) return 'YYYY-MM-DD';
+
+    let best = null;
+    let bestCount = -1;
+    for (const format of Object.keys(DATE_FORMATS)) {
+        const count = sample.filter(value => parseDateValue(value, format) !== null).length;
+        if (count > bestCount) {
+            best = format;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// Parses a whole column once. rowNumbers gives the sheet row of each data row for the error report.
+export function parseDateColumn(data, dateCol, format, rowNumbers) {
+    const values = data.map(row => row[dateCol]);
+    const usedFormat = !format || format === 'auto' ? detectDateFormat(values) : format;
+
+    const days = [];
+    const errors = [];
+    values.forEach((value, i) => {
+        const day = parseDateValue(value, usedFormat);
+        days.push(day);
+        if (day === null) {
+            errors.push({ index: i, row: rowNumbers ? rowNumbers[i] : i + 2, value: value == null ? '' : String(value) });
+        }
+    });
+
+    return { format: usedFormat, days, errors };
+}
+
+// "drop" removes the rows; "flag" empties the date and marks the row in a new column
+export function handleDateErrors(data, dateCheck, dateCol, action) {
+    const errorIndexes = new Set(dateCheck.errors.map(error => error.index));
+    if (action === 'drop') {
+        return { data: data.filter((row, i) => !errorIndexes.has(i)), flagColumn: null };
+    }
+    if (action === 'flag') {
+        const flagColumn = `${dateCol}_unparsed`;
+        data.forEach((row, i) => {
+            if (errorIndexes.has(i)) {
+                row[dateCol] = null;
+                row[flagColumn] = 1;
+            } else {
+                row[flagColumn] = 0;
+            }
+        });
+        return { data, flagColumn };
+    }
+    throw new Error(`Unknown date error action "${action}"`);
+}
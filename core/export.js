@@ -0,0 +1,161 @@
+// Output files: delimited text, an XLSX workbook with typed cells, JSON Lines,
+// the data dictionary and a ZIP bundle of several outputs
+import { columnActions } from './anonymize.js';
+import { resolveColumn } from './columns.js';
+import { DEFAULT_MAX_VISITS } from './shapes.js';
+import { actionType, describeAction, isNumeric } from './transforms.js';
+import { XLSX } from './xlsx.js';
+
+const EXPORT_FORMATS = {
+    csv: 'CSV',
+    xlsx: 'Excel workbook',
+    jsonl: 'JSON Lines'
+};
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+const CSV_DECIMALS = ['.', ','];
+const CSV_QUOTING = ['all', 'minimal'];
+
+export const DICTIONARY_COLUMNS = ['column', 'original_name', 'action', 'details', 'unit'];
+
+const KNOWN_UNITS = ['mm', 'cm', 'm', 'm/s', 'cm/s', 'ms', 's', 'mmhg', 'kg', 'g', 'ml', 'l', '%', 'bpm', 'mmol/l', 'µmol/l', 'g/l', 'mg/l'];
+
+// Throws on the first setting the writers do not support
+export function validateExportSettings(settings) {
+    const formats = settings.formats || ['csv'];
+    const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+    if (unknown.length > 0) throw new Error(`Unknown export format: ${unknown.join(', ')} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    if (formats.length === 0) throw new Error('Choose at least one export format');
+    const csv = settings.csv || {};
+    if (csv.delimiter != null && !CSV_DELIMITERS.includes(csv.delimiter)) throw new Error(`CSV delimiter must be one of ${CSV_DELIMITERS.map(d => JSON.stringify(d)).join(', ')}`);
+    if (csv.decimal != null && !CSV_DECIMALS.includes(csv.decimal)) throw new Error('CSV decimal separator must be "." or ","');
+    if (csv.quoting != null && !CSV_QUOTING.includes(csv.quoting)) throw new Error(`CSV quoting must be ${CSV_QUOTING.join(' or ')}`);
+}
+
+// The export settings _config.export asks for, with the defaults filled in
+export function exportSettingsFromConfig(config) {
+    const settings = config.export || {};
+    const csv = settings.csv || {};
+    return {
+        formats: settings.formats || ['csv'],
+        csv: { delimiter: csv.delimiter || ',', decimal: csv.decimal || '.', quoting: csv.quoting || 'all' },
+        dictionary: settings.dictionary === true,
+        shapes: settings.shapes || ['long'],
+        wide: { max_visits: (settings.wide || {}).max_visits || DEFAULT_MAX_VISITS },
+        summary: { columns: (settings.summary || {}).columns || [] }
+    };
+}
+
+// The unit written in brackets in a column name: "Vmax (m/s)" → "m/s", "Medeltryck (mmHg)" → "mmHg"
+function columnUnit(name) {
+    for (const match of String(name).matchAll(/[([]([^()[\]]+)[)\]]/g)) {
+        const unit = match[1].replace(/\s+/g, '');
+        if (KNOWN_UNITS.includes(unit.toLowerCase())) return unit;
+    }
+    return null;
+}
+
+// Columns where every value is a number. Values with leading zeros stay text, so codes
+// keep their zeros; textColumns (the pseudonyms) are never numeric.
+function numericColumns(data, columns, textColumns = []) {
+    return new Set(columns.filter(col => {
+        if (textColumns.includes(col)) return false;
+        let seen = false;
+        for (const row of data) {
+            const value = row[col];
+            if (value == null || value === '') continue;
+            if (typeof value !== 'number' && (!isNumeric(value) || /^\s*-?0\d/.test(value))) return false;
+            seen = true;
+        }
+        return seen;
+    }));
+}
+
+function typedRows(data, columns, numeric) {
+    return data.map(row => columns.map(col => {
+        const value = row[col];
+        if (value == null || value === '') return null;
+        return numeric.has(col) ? Number(value) : String(value);
+    }));
+}
+
+// options: { delimiter, decimal, quoting: "all" | "minimal", textColumns }. Quoting "all" is
+// the layout earlier versions wrote: every value quoted except empty cells.
+export function buildCSV(data, columns, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const decimal = options.decimal || '.';
+    const quoteAll = options.quoting !== 'minimal';
+    const numeric = decimal !== '.' ? numericColumns(data, columns, options.textColumns) : new Set();
+    const special = /["\r\n]|^\s|\s$/;
+
+    const cell = (value, col) => {
+        if (value == null) return '';
+        let text = String(value);
+        if (numeric.has(col)) text = text.replace('.', decimal);
+        const quote = quoteAll || text.includes(delimiter) || special.test(text);
+        return quote ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(col => cell(col, null))]
+        .concat(data.map(row => columns.map(col => cell(row[col], col))))
+        .map(cells => cells.join(delimiter));
+    // Add UTF-8 BOM for Excel compatibility
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// One JSON object per line, numbers as numbers
+export function buildJSONLines(data, columns, options = {}) {
+    const numeric = numericColumns(data, columns, options.textColumns);
+    return typedRows(data, columns, numeric)
+        .map(values => JSON.stringify(Object.fromEntries(columns.map((col, i) => [col, values[i]]))))
+        .join('\n') + '\n';
+}
+
+// Data sheet with numeric cells, plus the dictionary sheet when given
+export function buildWorkbook(data, columns, dictionary, options = {}) {
+    const numeric = numericColumns(data, columns, options.textColumns);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([columns].concat(typedRows(data, columns, numeric))), 'Data');
+    if (dictionary) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(dictionary, { header: DICTIONARY_COLUMNS }), 'Dictionary');
+    }
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array', compression: true });
+}
+
+// entries: { column: { action, details } } for the columns the FEATURE_MAP does not
+// describe (PNR, DATUM); originals: output name → header in the source file
+export function buildDataDictionary(columns, featureMap, entries, originals) {
+    const actions = columnActions(columns, featureMap);
+    // Columns without a unit in their name take the one their validation rule expects
+    const rules = (featureMap._config.validation || {}).rules || {};
+    const ruleUnit = col => {
+        const rule = rules[resolveColumn(Object.keys(rules), col)];
+        return (rule && rule.unit) || '';
+    };
+    return columns.map(col => {
+        const original = originals[col] || col;
+        let entry = entries[col];
+        if (!entry) {
+            const action = actions.has(col) ? actions.get(col).action : 'keep';
+            const type = actionType(action);
+            const details = describeAction(action);
+            entry = { action: type, details: details === type ? '' : details };
+        }
+        return {
+            column: col,
+            original_name: original,
+            action: entry.action,
+            details: entry.details,
+            unit: columnUnit(col) || columnUnit(original) || ruleUnit(col)
+        };
+    });
+}
+
+// files: [{ name, content }] with string or byte content
+export function buildZip(files) {
+    const zip = XLSX.CFB.utils.cfb_new({ type: 'zip' });
+    files.forEach(file => {
+        const content = typeof file.content === 'string' ? new TextEncoder().encode(file.content) : new Uint8Array(file.content);
+        XLSX.CFB.utils.cfb_add(zip, file.name, content);
+    });
+    return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true });
+}
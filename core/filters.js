@@ -0,0 +1,193 @@
+// Cohort filtering: an ordered list of patient-level steps from FEATURE_MAP._config.cohort
+import { findColumnCaseInsensitive, resolveColumn } from './columns.js';
+import { isNumeric } from './transforms.js';
+
+export const COHORT_OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+export const COHORT_STEP_TYPES = ['threshold', 'category', 'visits'];
+
+function isEmptyCell(value) {
+    return value == null || String(value).trim() === '';
+}
+
+function matchesCategory(value, values) {
+    const text = String(value).trim().toLowerCase();
+    return values.some(candidate => {
+        const candidateText = String(candidate).trim().toLowerCase();
+        if (candidateText === text) return true;
+        return isNumeric(candidateText) && isNumeric(text) && parseFloat(candidateText) === parseFloat(text);
+    });
+}
+
+export function describeCohortStep(step) {
+    const match = step.match === 'all' ? 'all visits' : 'any visit';
+    switch (step.type) {
+        case 'threshold':
+            return `${step.column} ${step.op} ${step.value} (${match})`;
+        case 'category':
+            return `${step.column} in [${(step.values || []).join(', ')}] (${match})`;
+        case 'visits': {
+            const parts = [];
+            if (step.min != null) parts.push(`>= ${step.min}`);
+            if (step.max != null) parts.push(`<= ${step.max}`);
+            return `visit count ${parts.join(' and ') || '(any)'}`;
+        }
+        default:
+            return `unknown step "${step.type}"`;
+    }
+}
+
+// Compiles a step into a predicate over one patient's rows. Empty cells are
+// ignored, so "all visits" means every visit where the value was recorded.
+export function compileCohortStep(step, columns) {
+    if (step.type === 'visits') {
+        const min = step.min != null ? Number(step.min) : -Infinity;
+        const max = step.max != null ? Number(step.max) : Infinity;
+        return { predicate: rows => rows.length >= min && rows.length <= max, column: null };
+    }
+
+    if (!COHORT_STEP_TYPES.includes(step.type)) {
+        throw new Error(`Unknown cohort step type "${step.type}"`);
+    }
+
+    const column = resolveColumn(columns, step.column || '');
+    if (!column) {
+        throw new Error(`Column "${step.column}" not found (needed for cohort step: ${describeCohortStep(step)})`);
+    }
+
+    let test;
+    if (step.type === 'threshold') {
+        const compare = COHORT_OPERATORS[step.op];
+        if (!compare) {
+            throw new Error(`Unknown operator "${step.op}" in cohort step: ${describeCohortStep(step)}`);
+        }
+        const threshold = Number(step.value);
+        test = value => {
+            const num = parseFloat(value);
+            return isNaN(num) ? null : compare(num, threshold);
+        };
+    } else {
+        const values = step.values || [];
+        test = value => matchesCategory(value, values);
+    }
+
+    const predicate = rows => {
+        let evaluated = 0;
+        for (const row of rows) {
+            const value = row[column];
+            if (isEmptyCell(value)) continue;
+            const result = test(value);
+            if (result === null) continue;
+            evaluated++;
+            if (step.match === 'all' && !result) return false;
+            if (step.match !== 'all' && result) return true;
+        }
+        return step.match === 'all' && evaluated > 0;
+    };
+
+    return { predicate, column };
+}
+
+function groupRowsByPatient(data, pnrCol) {
+    const visitsByPatient = new Map();
+    data.forEach(row => {
+        const pnr = row[pnrCol];
+        if (!visitsByPatient.has(pnr)) {
+            visitsByPatient.set(pnr, []);
+        }
+        visitsByPatient.get(pnr).push(row);
+    });
+    return visitsByPatient;
+}
+
+// lists: { exclude, include }, sets of PNR values. Excluded patients leave before the
+// steps run; included ones are kept whatever the steps say, unless also excluded.
+export function applyCohortFilters(data, columns, cohort, lists = {}) {
+    const pnrCol = findColumnCaseInsensitive(columns, 'pnr');
+    if (!pnrCol) {
+        throw new Error('PNR column not found (needed for cohort filtering)');
+    }
+
+    const steps = (cohort && cohort.steps) || [];
+    const combine = cohort && cohort.combine === 'or' ? 'or' : 'and';
+    const exclude = lists.exclude || new Set();
+    const include = lists.include || new Set();
+    const excluded = { patients: 0, rows: 0 };
+    if (exclude.size > 0) {
+        const removed = new Set();
+        data = data.filter(row => {
+            if (!exclude.has(row[pnrCol])) return true;
+            removed.add(row[pnrCol]);
+            excluded.rows++;
+            return false;
+        });
+        excluded.patients = removed.size;
+    }
+    const visitsByPatient = groupRowsByPatient(data, pnrCol);
+    const countRows = patients => {
+        let rows = 0;
+        patients.forEach(pnr => { rows += visitsByPatient.get(pnr).length; });
+        return rows;
+    };
+
+    let selected = new Set(visitsByPatient.keys());
+    if (combine === 'or' && steps.length > 0) {
+        selected = new Set();
+    }
+
+    const hasIncluded = [...include].some(pnr => visitsByPatient.has(pnr));
+    const stepReports = [];
+    steps.forEach((step, i) => {
+        const { predicate, column } = compileCohortStep(step, columns);
+        const pool = combine === 'and' ? selected : visitsByPatient.keys();
+
+        const matched = new Set();
+        for (const pnr of pool) {
+            if (predicate(visitsByPatient.get(pnr))) matched.add(pnr);
+        }
+
+        if (combine === 'and') {
+            // Included patients join after the steps, so a step matching nobody only ends a run without them
+            if (matched.size === 0 && !hasIncluded) {
+                let hint = '';
+                if (column) {
+                    const sample = data.slice(0, 10).map(row => row[column]);
+                    hint = ` Sample values in ${column}: ${sample.join(', ')}`;
+                }
+                throw new Error(`No patients left after step ${i + 1} (${describeCohortStep(step)}).${hint}`);
+            }
+            selected = matched;
+        } else {
+            matched.forEach(pnr => selected.add(pnr));
+        }
+
+        stepReports.push({
+            label: describeCohortStep(step),
+            patients: matched.size,
+            rows: countRows(matched)
+        });
+    });
+
+    const included = { patients: 0, rows: 0 };
+    include.forEach(pnr => {
+        if (selected.has(pnr) || !visitsByPatient.has(pnr)) return;
+        selected.add(pnr);
+        included.patients++;
+        included.rows += visitsByPatient.get(pnr).length;
+    });
+
+    if (selected.size === 0) {
+        throw new Error('No patients matched any cohort step');
+    }
+
+    const filtered = data.filter(row => selected.has(row[pnrCol]));
+
+    return { data: filtered, patientCount: selected.size, combine, steps: stepReports, excluded, included };
+}
@@ -0,0 +1,71 @@
+// Passphrase-encrypted PNR → pseudonym table (PBKDF2-SHA-256 + AES-GCM)
+
+const KEYFILE_FORMAT = 'anonymizer-keyfile';
+const KEYFILE_VERSION = 1;
+const KEYFILE_ITERATIONS = 600000;
+export const MIN_KEYFILE_PASSPHRASE_LENGTH = 12;
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveKeyFileKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+export async function encryptKeyTable(mapping, passphrase, meta) {
+    if (!passphrase || passphrase.length < MIN_KEYFILE_PASSPHRASE_LENGTH) {
+        throw new Error(`The key file passphrase must be at least ${MIN_KEYFILE_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKeyFileKey(passphrase, salt, KEYFILE_ITERATIONS);
+    const plaintext = new TextEncoder().encode(JSON.stringify({ meta, entries: [...mapping.entries()] }));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return {
+        format: KEYFILE_FORMAT,
+        version: KEYFILE_VERSION,
+        created: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KEYFILE_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(ciphertext)
+    };
+}
+
+// Returns { meta, entries } where entries are [pnr, pseudonym] pairs
+export async function decryptKeyTable(keyFile, passphrase) {
+    if (!keyFile || keyFile.format !== KEYFILE_FORMAT) {
+        throw new Error('Not a key file from this tool');
+    }
+    if (keyFile.version !== KEYFILE_VERSION) {
+        throw new Error(`Unsupported key file version ${keyFile.version}`);
+    }
+
+    const key = await deriveKeyFileKey(passphrase, fromBase64(keyFile.kdf.salt), keyFile.kdf.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(keyFile.cipher.iv) }, key, fromBase64(keyFile.data)
+        );
+    } catch (e) {
+        throw new Error('Wrong passphrase or damaged key file');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,23 @@
+// Audit manifest written next to each export
+
+const TOOL_NAME = 'Medical Data Anonymizer';
+const TOOL_VERSION = '1.1.0';
+
+export function buildManifest(run) {
+    return {
+        tool: TOOL_NAME,
+        version: TOOL_VERSION,
+        created: new Date().toISOString(),
+        input: run.input,
+        validation: run.validation,
+        seed: {
+            provided: run.seedProvided
+        },
+        profile: run.profile,
+        config: run.config,
+        pseudonyms: run.pseudonyms,
+        filters: run.filters,
+        columns: run.columns,
+        output: run.output
+    };
+}
@@ -0,0 +1,197 @@
+// Several sheets or files as one table: sources with the same columns are stacked,
+// the others joined onto the first by patient and date
+import { findColumnCaseInsensitive, foldHeader } from './columns.js';
+import { formatEpochDay, parseDateColumn, parseDateValue } from './dates.js';
+import { normalizePnrColumn } from './pseudonym.js';
+
+const DEFAULT_STACK_SIMILARITY = 0.8;
+
+function columnKeys(columns) {
+    return new Set(columns.map(col => col.toLowerCase().trim()));
+}
+
+// Shared columns over all columns, ignoring case
+function columnOverlap(a, b) {
+    const keysA = columnKeys(a);
+    const keysB = columnKeys(b);
+    const shared = [...keysA].filter(key => keysB.has(key)).length;
+    return shared / new Set([...keysA, ...keysB]).size;
+}
+
+// Each source goes into the first group whose first source has nearly the same columns
+function groupSources(sources, minOverlap) {
+    const groups = [];
+    sources.forEach(source => {
+        const group = groups.find(candidate => columnOverlap(candidate[0].columns, source.columns) >= minOverlap);
+        if (group) group.push(source);
+        else groups.push([source]);
+    });
+    return groups;
+}
+
+// Stacks the rows of same-schema sources. A column is matched by its exact name, then
+// ignoring case and accents; columns a source lacks are left empty in its rows.
+function stackSources(sources) {
+    const columns = [];
+    const data = [];
+    const rowNumbers = [];
+    const reconciled = [];
+    const missing = {};
+
+    sources.forEach(source => {
+        const used = new Set();
+        const names = {};
+        source.columns.forEach(col => {
+            let target = columns.includes(col) && !used.has(col) ? col : null;
+            if (!target) {
+                target = columns.find(existing => !used.has(existing) && !source.columns.includes(existing) &&
+                    foldHeader(existing) === foldHeader(col)) || null;
+                if (target) reconciled.push({ source: source.label, from: col, to: target });
+            }
+            if (!target) {
+                target = col;
+                columns.push(col);
+            }
+            used.add(target);
+            names[col] = target;
+        });
+
+        const lacking = columns.filter(col => !used.has(col));
+        if (lacking.length > 0) missing[source.label] = lacking;
+        source.data.forEach((row, i) => {
+            const stacked = {};
+            for (const [col, value] of Object.entries(row)) stacked[names[col]] = value;
+            data.push(stacked);
+            rowNumbers.push(`${source.label}:${source.rowNumbers[i]}`);
+        });
+    });
+
+    // Columns first seen in a later source go to the end of the earlier rows too
+    const ordered = data.map(row => Object.fromEntries(columns.map(col => [col, col in row ? row[col] : null])));
+    return { label: sources.map(source => source.label).join(' + '), columns, data: ordered, rowNumbers, reconciled, missing };
+}
+
+// Rewrites a source's dates as YYYY-MM-DD so sources written in different formats agree.
+// Unreadable values are left as written for the date check of the whole table.
+function normalizeSourceDates(source, dateCol, format) {
+    const check = parseDateColumn(source.data, dateCol, format, source.rowNumbers);
+    source.data.forEach((row, i) => {
+        if (check.days[i] !== null) row[dateCol] = formatEpochDay(check.days[i]);
+    });
+    return check;
+}
+
+// Joins "other" onto "table" on PNR and a date at most toleranceDays apart, taking the
+// closest unused row. Shared column names get the other table's label appended.
+// Rows of "other" without a match are added as rows of their own, or dropped.
+function joinTables(table, other, toleranceDays, unmatched) {
+    const pnrCol = findColumnCaseInsensitive(table.columns, 'pnr');
+    const dateCol = findColumnCaseInsensitive(table.columns, 'datum');
+    const otherPnr = findColumnCaseInsensitive(other.columns, 'pnr');
+    const otherDate = findColumnCaseInsensitive(other.columns, 'datum');
+
+    const renamed = {};
+    const added = other.columns.filter(col => col !== otherPnr && col !== otherDate).map(col => {
+        const name = table.columns.includes(col) ? `${col} (${other.label})` : col;
+        if (name !== col) renamed[col] = name;
+        return [col, name];
+    });
+
+    const byPatient = new Map();
+    other.data.forEach((row, i) => {
+        const day = parseDateValue(row[otherDate], 'YYYY-MM-DD');
+        if (day === null) return;
+        if (!byPatient.has(row[otherPnr])) byPatient.set(row[otherPnr], []);
+        byPatient.get(row[otherPnr]).push({ index: i, day });
+    });
+
+    const used = new Set();
+    let matched = 0;
+    let offset = 0;
+    const data = table.data.map(row => {
+        const joined = { ...row };
+        added.forEach(([, name]) => { joined[name] = null; });
+        const day = parseDateValue(row[dateCol], 'YYYY-MM-DD');
+        const candidates = day === null ? [] : (byPatient.get(row[pnrCol]) || [])
+            .filter(candidate => !used.has(candidate.index) && Math.abs(candidate.day - day) <= toleranceDays)
+            .sort((a, b) => Math.abs(a.day - day) - Math.abs(b.day - day));
+        if (candidates.length > 0) {
+            const match = candidates[0];
+            used.add(match.index);
+            matched++;
+            if (match.day !== day) offset++;
+            added.forEach(([col, name]) => { joined[name] = other.data[match.index][col]; });
+        }
+        return joined;
+    });
+
+    const columns = table.columns.concat(added.map(([, name]) => name));
+    const rowNumbers = table.rowNumbers.slice();
+    const leftOver = other.data.map((row, i) => i).filter(i => !used.has(i));
+    if (unmatched !== 'drop') {
+        leftOver.forEach(i => {
+            const row = Object.fromEntries(columns.map(col => [col, null]));
+            row[pnrCol] = other.data[i][otherPnr];
+            row[dateCol] = other.data[i][otherDate];
+            added.forEach(([col, name]) => { row[name] = other.data[i][col]; });
+            data.push(row);
+            rowNumbers.push(other.rowNumbers[i]);
+        });
+    }
+
+    return {
+        table: { label: table.label, columns, data, rowNumbers },
+        report: {
+            source: other.label,
+            matched,
+            matched_with_offset: offset,
+            unmatched: leftOver.length,
+            unmatched_action: unmatched === 'drop' ? 'drop' : 'keep',
+            renamed
+        }
+    };
+}
+
+// sources: [{ label, columns, data, rowNumbers }] with PNR and DATUM in every source.
+// settings: _config.merge. Returns the combined { columns, data, rowNumbers } and a report.
+export function mergeSources(sources, settings, dateFormat) {
+    const minOverlap = settings.stack_similarity != null ? settings.stack_similarity : DEFAULT_STACK_SIMILARITY;
+    const toleranceDays = settings.tolerance_days || 0;
+
+    const dateFormats = {};
+    sources.forEach(source => {
+        const pnrCol = findColumnCaseInsensitive(source.columns, 'pnr');
+        const dateCol = findColumnCaseInsensitive(source.columns, 'datum');
+        if (!pnrCol || !dateCol) {
+            throw new Error(`${source.label} has no ${pnrCol ? 'DATUM' : 'PNR'} column, so it cannot be merged by patient`);
+        }
+        normalizePnrColumn(source.data, pnrCol);
+        dateFormats[source.label] = normalizeSourceDates(source, dateCol, dateFormat).format;
+    });
+
+    const stacked = groupSources(sources, minOverlap).map(stackSources);
+    let table = stacked[0];
+    const joins = [];
+    stacked.slice(1).forEach(other => {
+        const result = joinTables(table, other, toleranceDays, settings.unmatched);
+        table = result.table;
+        joins.push(result.report);
+    });
+
+    return {
+        columns: table.columns,
+        data: table.data,
+        rowNumbers: table.rowNumbers,
+        report: {
+            sources: sources.map(source => ({ label: source.label, rows: source.data.length, date_format: dateFormats[source.label] })),
+            stacked: stacked.map(group => ({
+                sources: group.label,
+                rows: group.data.length,
+                reconciled: group.reconciled,
+                missing_columns: group.missing
+            })),
+            joins,
+            tolerance_days: toleranceDays
+        }
+    };
+}
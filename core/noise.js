@@ -0,0 +1,177 @@
+// Noise models for the "noise" transform and the cross-column constraints checked afterwards
+import { resolveColumn } from './columns.js';
+import { normalizeAction, toNumber } from './transforms.js';
+
+const CONSTRAINT_OPERATORS = ['>', '>=', '<', '<='];
+
+function standardNormal(random) {
+    const u1 = 1 - random();  // (0, 1], so the log is finite
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function laplaceSample(random, scale) {
+    let r = random();
+    while (r === 0) r = random();  // u in (-0.5, 0.5), so the log is finite
+    const u = r - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+}
+
+// "draw" returns an offset, or for "relative" a fraction of the value
+const NOISE_MODELS = {
+    uniform: {
+        params: ['amplitude'],
+        draw: (spec, random) => (random() * 2 - 1) * Number(spec.amplitude)
+    },
+    gaussian: {
+        params: ['sd'],
+        draw: (spec, random) => standardNormal(random) * Number(spec.sd)
+    },
+    relative: {
+        params: ['percent'],
+        draw: (spec, random) => (random() * 2 - 1) * Number(spec.percent) / 100
+    },
+    // Scale sensitivity / epsilon: the Laplace mechanism for one release of the column
+    laplace: {
+        params: ['epsilon', 'sensitivity'],
+        draw: (spec, random) => laplaceSample(random, Number(spec.sensitivity) / Number(spec.epsilon))
+    }
+};
+
+function noiseModel(spec) {
+    return spec.model || 'uniform';
+}
+
+export function validateNoiseSpec(spec) {
+    const model = NOISE_MODELS[noiseModel(spec)];
+    if (!model) {
+        throw new Error(`Unknown noise model "${spec.model}". Use one of: ${Object.keys(NOISE_MODELS).join(', ')}`);
+    }
+    for (const param of model.params) {
+        if (!(Number(spec[param]) > 0)) {
+            throw new Error(`Noise model "${noiseModel(spec)}" needs a positive "${param}"`);
+        }
+    }
+    const correlation = spec.patient_correlation;
+    if (correlation != null && !(correlation >= 0 && correlation <= 1)) {
+        throw new Error('"patient_correlation" must be between 0 and 1');
+    }
+}
+
+export function describeNoise(spec) {
+    let text;
+    switch (noiseModel(spec)) {
+        case 'gaussian': text = `Gaussian noise sd ${spec.sd}`; break;
+        case 'relative': text = `relative noise ±${spec.percent}%`; break;
+        case 'laplace': text = `Laplace noise ε ${spec.epsilon} (sensitivity ${spec.sensitivity})`; break;
+        default: text = `noise ±${spec.amplitude}`;
+    }
+    if (spec.patient_correlation) text += `, patient correlation ${spec.patient_correlation}`;
+    if (spec.min != null || spec.max != null) text += `, clamped to [${spec.min != null ? spec.min : ''}, ${spec.max != null ? spec.max : ''}]`;
+    return text;
+}
+
+function countDecimals(value) {
+    const text = String(value).trim();
+    const match = text.match(/[.,](\d+)$/);
+    return match ? match[1].length : 0;
+}
+
+// Without "decimals", uniform noise keeps the old rule (integers for amplitudes >= 1,
+// else one decimal) and the other models keep the precision of the input value
+function noiseDecimals(spec, value) {
+    if (spec.decimals != null) return Number(spec.decimals);
+    if (noiseModel(spec) === 'uniform') return Number(spec.amplitude) >= 1.0 ? 0 : 1;
+    return countDecimals(value);
+}
+
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// Sum of the Laplace epsilons in the feature map, checked against _config.noise.epsilon_budget
+export function epsilonSpent(featureMap) {
+    let total = 0;
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_')) continue;
+        const spec = normalizeAction(action);
+        for (const step of Array.isArray(spec) ? spec : [spec]) {
+            if (step.type === 'noise' && noiseModel(step) === 'laplace') total += Number(step.epsilon);
+        }
+    }
+    const budget = ((featureMap._config || {}).noise || {}).epsilon_budget;
+    if (budget != null && total > budget) {
+        throw new Error(`The Laplace noise columns use ε ${total}, more than the budget of ${budget}`);
+    }
+    return total;
+}
+
+// With patient_correlation ρ, each value gets √ρ·(one draw per patient) + √(1−ρ)·(its own draw),
+// so averaging a patient's visits does not average the noise away
+export function applyNoise(values, spec, ctx) {
+    validateNoiseSpec(spec);
+    const model = NOISE_MODELS[noiseModel(spec)];
+    const correlation = ctx.patients ? Number(spec.patient_correlation) || 0 : 0;
+    const patientDraws = new Map();
+
+    return values.map((value, i) => {
+        const num = toNumber(value);
+        if (num === null) return value;
+
+        let draw = 0;
+        if (correlation > 0) {
+            const patient = ctx.patients[i];
+            if (!patientDraws.has(patient)) patientDraws.set(patient, model.draw(spec, ctx.random));
+            draw += Math.sqrt(correlation) * patientDraws.get(patient);
+        }
+        if (correlation < 1) {
+            draw += Math.sqrt(1 - correlation) * model.draw(spec, ctx.random);
+        }
+
+        let newValue = noiseModel(spec) === 'relative' ? num * (1 + draw) : num + draw;
+        if (spec.min != null) newValue = Math.max(Number(spec.min), newValue);
+        if (spec.max != null) newValue = Math.min(Number(spec.max), newValue);
+        return roundTo(newValue, noiseDecimals(spec, value));
+    });
+}
+
+function describeConstraint(constraint) {
+    return `${constraint.left} ${constraint.op} ${constraint.right}`;
+}
+
+// Each constraint is { left, op, right } where right is a column or a number. A violating
+// left value is moved to the nearest allowed value, one "gap" (by default one unit in the
+// last decimal of the two values) past the bound for strict operators.
+// Returns { description: adjusted row count }.
+export function enforceConstraints(data, columns, constraints) {
+    const report = {};
+    for (const constraint of constraints || []) {
+        if (!CONSTRAINT_OPERATORS.includes(constraint.op)) {
+            throw new Error(`Unknown operator "${constraint.op}" in constraint ${describeConstraint(constraint)}`);
+        }
+        const leftCol = resolveColumn(columns, String(constraint.left));
+        const rightIsColumn = typeof constraint.right === 'string';
+        const rightCol = rightIsColumn ? resolveColumn(columns, constraint.right) : null;
+        if (!leftCol || (rightIsColumn && !rightCol)) continue;
+
+        const strict = constraint.op === '>' || constraint.op === '<';
+        const above = constraint.op.startsWith('>');
+        let adjusted = 0;
+        data.forEach(row => {
+            const left = toNumber(row[leftCol]);
+            const right = rightIsColumn ? toNumber(row[rightCol]) : Number(constraint.right);
+            if (left === null || right === null) return;
+
+            const holds = above ? (strict ? left > right : left >= right) : (strict ? left < right : left <= right);
+            if (holds) return;
+
+            const decimals = Math.max(countDecimals(row[leftCol]), rightIsColumn ? countDecimals(row[rightCol]) : 0);
+            const gap = strict ? (constraint.gap != null ? Number(constraint.gap) : Math.pow(10, -decimals)) : 0;
+            row[leftCol] = roundTo(above ? right + gap : right - gap, Math.max(decimals, countDecimals(gap)));
+            adjusted++;
+        });
+        report[describeConstraint(constraint)] = adjusted;
+    }
+    return report;
+}
@@ -0,0 +1,65 @@
+// Exclusion and inclusion lists of patients, from CSV or text files with one patient per
+// line: a personnummer (10 or 12 digits) or the SHA-256 hex of its 12-digit form. Only
+// counts leave this module, so neither the list nor the patients it matched end up in
+// the diagnostics or the manifest.
+import { normalizePnr } from './pseudonym.js';
+import { sha256Hex } from './random.js';
+
+export const PATIENT_LIST_LABELS = { exclude: 'Exclusion list', include: 'Inclusion list' };
+
+const PNR_PATTERN = /^(\d{2})?\d{6}[-+]?\d{4}$/;
+const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+// The first cell of each line; a first line that is neither form is taken as a header
+export function parsePatientList(text, label) {
+    const pnrs = new Set();
+    const hashes = new Set();
+    const invalid = [];
+    let header = false;
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+        const cell = line.split(/[,;\t]/)[0].trim().replace(/^"(.*)"$/, '$1').trim();
+        if (cell === '') return;
+        if (HASH_PATTERN.test(cell)) {
+            hashes.add(cell.toLowerCase());
+        } else if (PNR_PATTERN.test(cell)) {
+            pnrs.add(normalizePnr(cell));
+        } else if (pnrs.size + hashes.size + invalid.length === 0 && !header) {
+            header = true;
+        } else {
+            invalid.push(i + 1);
+        }
+    });
+    if (invalid.length > 0) {
+        throw new Error(`${label}: ${invalid.length} lines are neither a personnummer nor a SHA-256 hash ` +
+            `(lines ${invalid.slice(0, 10).join(', ')}${invalid.length > 10 ? ', ...' : ''})`);
+    }
+    if (pnrs.size + hashes.size === 0) throw new Error(`${label} lists no patients`);
+    return { pnrs, hashes };
+}
+
+// file: { name, text }. The file is not hashed: a short list's hash would confirm a guessed
+// personnummer.
+export function loadPatientList(file, kind) {
+    const label = `${PATIENT_LIST_LABELS[kind]} ${file.name}`;
+    return { name: file.name, ...parsePatientList(file.text, label) };
+}
+
+// SHA-256 of each patient's PNR, needed only when a list has hashed entries
+export async function hashPatients(patients) {
+    const hashes = new Map();
+    for (const pnr of patients) hashes.set(pnr, await sha256Hex(String(pnr)));
+    return hashes;
+}
+
+// The patients of the data a list names, and how many of its entries named none
+export function matchPatientList(list, patients, hashes) {
+    const matched = new Set();
+    let found = 0;
+    for (const pnr of patients) {
+        const byPnr = list.pnrs.has(pnr);
+        const byHash = list.hashes.size > 0 && list.hashes.has(hashes.get(pnr));
+        found += (byPnr ? 1 : 0) + (byHash ? 1 : 0);
+        if (byPnr || byHash) matched.add(pnr);
+    }
+    return { patients: matched, notFound: list.pnrs.size + list.hashes.size - found };
+}
@@ -0,0 +1,574 @@
+// The whole run, from file bytes to output files. It has no DOM access so it can run in
+// worker.js; decisions go through hooks: { progress(percent, text), ask(kind, payload),
+// preview(session, details) }. An ask or preview answered with null cancels the run.
+import { columnActions, createColumnStage } from './anonymize.js';
+import {
+    findColumnCaseInsensitive, findUnmappedColumns, matchHeaders, renameColumns, resolveColumn,
+    resolveUnmappedColumns, sampleColumnValues
+} from './columns.js';
+import { handleDateErrors, parseDateColumn } from './dates.js';
+import {
+    buildCSV, buildDataDictionary, buildJSONLines, buildWorkbook, buildZip, DICTIONARY_COLUMNS,
+    validateExportSettings
+} from './export.js';
+import { applyCohortFilters } from './filters.js';
+import { encryptKeyTable } from './keyfile.js';
+import { buildManifest } from './manifest.js';
+import { mergeSources } from './merge.js';
+import { epsilonSpent } from './noise.js';
+import { hashPatients, loadPatientList, matchPatientList, PATIENT_LIST_LABELS } from './patientlists.js';
+import { createID, importPseudonymKey, normalizePnrColumn, pseudonymLength } from './pseudonym.js';
+import { createRandom, generateSeed, sha256Hex } from './random.js';
+import { collectNames } from './redact.js';
+import { assessDisclosureRisk } from './risk.js';
+import { buildOutputShapes, validateShapeSettings } from './shapes.js';
+import { readSheet } from './sheets.js';
+import { anonymizeDates, describeTemporalSpec, temporalSpec } from './temporal.js';
+import { validateFeatureMap } from './transforms.js';
+import { computeUtilityReport } from './utility.js';
+import {
+    checkPlausibility, describeViolations, handleImplausibleValues, normalizeDecimalCommas, resolveValidationActions,
+    validateValidationSettings
+} from './validation.js';
+import { XLSX } from './xlsx.js';
+
+// Share of the progress bar per stage, in order
+const PIPELINE_STAGES = [
+    ['read', 25], ['merge', 5], ['checks', 3], ['validation', 5], ['date-check', 2], ['cohort', 5],
+    ['pseudonyms', 15], ['dates', 5], ['columns', 15], ['reports', 10], ['write', 10]
+];
+
+function createStageProgress(report) {
+    return (stage, fraction, text) => {
+        let start = 0;
+        for (const [name, weight] of PIPELINE_STAGES) {
+            if (name === stage) {
+                report(Math.round(start + weight * Math.min(1, fraction)), text);
+                return;
+            }
+            start += weight;
+        }
+    };
+}
+
+function sampleColumns(data, columns) {
+    return Object.fromEntries(columns.map(col => [col, sampleColumnValues(data, col)]));
+}
+
+// What the preview shows of a column stage: the first rows and the k summary of the whole output
+function createPreviewSession(stage, options) {
+    const snapshot = () => {
+        const output = stage.assemble(options.constraints);
+        const risk = assessDisclosureRisk(output.data, output.columns, options.riskSettings);
+        return {
+            rows: output.data.slice(0, options.rows),
+            original: options.original.slice(0, options.rows),
+            columns: output.columns,
+            actions: [...stage.actions],
+            totalRows: output.data.length,
+            risk: { k: risk.k, minK: risk.minK, uniquePatients: risk.uniquePatients }
+        };
+    };
+    return {
+        snapshot,
+        setAction(col, action) {
+            stage.setAction(col, action);
+            return snapshot();
+        }
+    };
+}
+
+// input: { files: [{ name, data }], sheets: [{ file, sheet }], seed, secret, keyFilePassphrase,
+// profile, cohort, patientLists, riskSettings, exportSettings, baseName }; patientLists is
+// { exclude, include }, each an optional { name, text }; baseName names the output files
+// and defaults to the first file's name. Returns { cancelled: true } or the result
+// the page needs: diagnostics, downloads, key file and the risk and utility reports.
+export async function runPipeline(input, hooks) {
+    const progress = createStageProgress(hooks.progress);
+    const { cohort, riskSettings, exportSettings, secret } = input;
+    const seed = input.seed || generateSeed();
+    const rng = createRandom(seed);
+    let profile = input.profile;
+    let featureMap = JSON.parse(JSON.stringify(profile.feature_map));
+
+    if (input.sheets.length === 0) {
+        throw new Error('Tick at least one sheet to read');
+    }
+    const patientLists = {};
+    for (const kind of Object.keys(PATIENT_LIST_LABELS)) {
+        const file = (input.patientLists || {})[kind];
+        if (file) patientLists[kind] = loadPatientList(file, kind);
+    }
+    // Each workbook is parsed for its ticked sheets only and let go once they are read:
+    // its cells take several times the memory of the rows
+    const sheetAliases = {};
+    const duplicateHeaders = {};
+    const sheets = [];
+    for (const [i, file] of input.files.entries()) {
+        progress('read', i / input.files.length, `Reading ${file.name}...`);
+        const wanted = input.sheets.map((entry, index) => ({ ...entry, index })).filter(entry => entry.file === i);
+        const sha256 = await sha256Hex(file.data);
+        // FIX: Explicitly handle encoding
+        const workbook = XLSX.read(file.data, {
+            type: 'array',
+            cellDates: true,
+            codepage: 65001,  // UTF-8
+            sheets: wanted.map(entry => entry.sheet)
+        });
+        wanted.forEach(({ sheet: sheetName, index }) => {
+            const label = `${file.name} / ${sheetName}`;
+            const sheet = { label, name: file.name, bytes: file.data.byteLength, sha256, sheet: sheetName, ...readSheet(workbook, sheetName) };
+            if (sheet.data.length === 0) {
+                throw new Error(input.sheets.length > 1 ? `${label} is empty` : 'File is empty');
+            }
+            // Aliases are applied per sheet, so stacked sheets agree on their column names
+            Object.assign(duplicateHeaders, sheet.duplicates);
+            const { aliases } = matchHeaders(sheet.columns, featureMap);
+            renameColumns(sheet.data, sheet.columns, aliases);
+            Object.assign(sheetAliases, aliases);
+            sheet.rows = sheet.data.length;
+            sheets[index] = sheet;
+        });
+    }
+
+    let jsonData = sheets[0].data;
+    let rowNumbers = sheets[0].rowNumbers;
+    let columns = sheets[0].columns;
+    let mergeReport = null;
+    if (sheets.length > 1) {
+        progress('merge', 0, `Merging ${sheets.length} sheets by patient...`);
+        const merged = mergeSources(sheets, featureMap._config.merge || {}, (featureMap._config.dates || {}).format);
+        jsonData = merged.data;
+        rowNumbers = merged.rowNumbers;
+        columns = merged.columns;
+        mergeReport = merged.report;
+        // The merged table has rows of its own
+        sheets.forEach(sheet => { sheet.data = null; });
+    }
+    progress('checks', 0, `File read: ${jsonData.length} rows`);
+
+    // Headers that differ from FEATURE_MAP: aliases are applied, fuzzy matches confirmed
+    const headerMatch = matchHeaders(columns, featureMap);
+    const headerMatchSettings = featureMap._config.header_matching || {};
+    let acceptedMatches = headerMatch.suggestions;
+    if (acceptedMatches.length > 0 && (headerMatchSettings.fuzzy || 'confirm') === 'confirm') {
+        progress('checks', 0, `Waiting for confirmation of ${acceptedMatches.length} suggested column matches...`);
+        const answer = await hooks.ask('headers', {
+            suggestions: acceptedMatches,
+            samples: sampleColumns(jsonData, acceptedMatches.map(match => match.header))
+        });
+        if (answer === null) return { cancelled: true };
+        acceptedMatches = answer.matches;
+        // Confirmed matches may have been saved as aliases in the profile
+        profile = answer.profile;
+        featureMap = JSON.parse(JSON.stringify(profile.feature_map));
+    }
+    const headerAliases = { ...sheetAliases, ...headerMatch.aliases };
+    const headerRenames = { ...headerAliases };
+    acceptedMatches.forEach(match => { headerRenames[match.header] = match.canonical; });
+    renameColumns(jsonData, columns, headerRenames);
+
+    // Validate critical columns exist
+    const pnrCol = findColumnCaseInsensitive(columns, 'pnr');
+    const dateCol = findColumnCaseInsensitive(columns, 'datum');
+
+    const missingCritical = [];
+    if (!pnrCol) missingCritical.push('PNR');
+    if (!dateCol) missingCritical.push('DATUM');
+    cohort.steps.forEach(step => {
+        if (step.column && !resolveColumn(columns, step.column)) missingCritical.push(step.column);
+    });
+
+    if (missingCritical.length > 0) {
+        throw new Error(`Critical columns missing: ${missingCritical.join(', ')}. Found these columns: ${columns.slice(0, 10).join(', ')}...`);
+    }
+
+    const unmapped = findUnmappedColumns(columns, featureMap);
+    let unmappedChoices = resolveUnmappedColumns(unmapped, featureMap._config);
+    if (unmappedChoices === null) {
+        progress('checks', 0.3, `Waiting for review of ${unmapped.length} unmapped columns...`);
+        unmappedChoices = await hooks.ask('unmapped', { unmapped, samples: sampleColumns(jsonData, unmapped) });
+        if (unmappedChoices === null) return { cancelled: true };
+    }
+    featureMap = { ...featureMap, ...unmappedChoices };
+    validateFeatureMap(featureMap);
+    epsilonSpent(featureMap);
+    const dateSpec = temporalSpec(featureMap[findColumnCaseInsensitive(Object.keys(featureMap), 'datum')]);
+    const idLength = pseudonymLength(featureMap._config);
+    validateExportSettings(exportSettings);
+    validateShapeSettings(exportSettings, dateSpec.mode);
+    const validationSettings = featureMap._config.validation || {};
+    validateValidationSettings(validationSettings);
+
+    // Implausible values are settled before anything is anonymized, and dropped rows leave
+    // before the date check so its row numbers still point into the sheet
+    progress('validation', 0, 'Checking values against the validation rules...');
+    const plausibility = checkPlausibility(jsonData, columns, validationSettings, rowNumbers);
+    let validationChoices = resolveValidationActions(plausibility, validationSettings);
+    const askedRules = Object.keys(validationChoices).filter(col => validationChoices[col] === 'ask');
+    if (askedRules.length > 0) {
+        const violations = describeViolations(plausibility).filter(rule => askedRules.includes(rule.column));
+        const count = violations.reduce((sum, rule) => sum + rule.violations, 0);
+        progress('validation', 0.5, `Waiting for a decision on ${count} implausible values...`);
+        const answer = await hooks.ask('validation', { rules: violations });
+        if (answer === null) return { cancelled: true };
+        validationChoices = { ...validationChoices, ...answer };
+    }
+    const validation = handleImplausibleValues(jsonData, rowNumbers, plausibility, validationChoices);
+    jsonData = validation.data;
+    rowNumbers = validation.rowNumbers;
+    const decimalCommas = normalizeDecimalCommas(jsonData, columns, featureMap, validationSettings);
+
+    const { unrecognized: unrecognizedPnrs } = normalizePnrColumn(jsonData, pnrCol);
+
+    progress('date-check', 0, 'Checking dates...');
+    const dateSettings = featureMap._config.dates || {};
+    // Merged sheets already have their dates rewritten as YYYY-MM-DD
+    const dateCheck = parseDateColumn(jsonData, dateCol, mergeReport ? 'YYYY-MM-DD' : dateSettings.format, rowNumbers);
+    const sourceDateFormat = mergeReport ? 'the date format of their sheet' : dateCheck.format;
+    let dateErrorAction = null;
+    if (dateCheck.errors.length > 0) {
+        dateErrorAction = dateSettings.on_error || 'ask';
+        if (dateErrorAction === 'ask') {
+            progress('date-check', 0.5, `Waiting for a decision on ${dateCheck.errors.length} unparseable dates...`);
+            dateErrorAction = await hooks.ask('dates', {
+                dateCol,
+                format: sourceDateFormat,
+                count: dateCheck.errors.length,
+                errors: dateCheck.errors.slice(0, 20)
+            });
+        }
+        if (dateErrorAction === 'abort') {
+            const rows = dateCheck.errors.slice(0, 10).map(error => error.row).join(', ');
+            throw new Error(`${dateCheck.errors.length} values in ${dateCol} could not be read as ${sourceDateFormat} (sheet rows ${rows}${dateCheck.errors.length > 10 ? ', ...' : ''})`);
+        }
+        const handled = handleDateErrors(jsonData, dateCheck, dateCol, dateErrorAction);
+        jsonData = handled.data;
+        if (handled.flagColumn) {
+            columns.push(handled.flagColumn);
+            featureMap = { ...featureMap, [handled.flagColumn]: 'keep' };
+        }
+    }
+
+    // The lists are matched against the normalized PNR, before any pseudonym exists
+    const listMatches = {};
+    if (Object.keys(patientLists).length > 0) {
+        progress('cohort', 0, 'Matching the patient lists...');
+        const patients = new Set(jsonData.map(row => row[pnrCol]));
+        const hashes = Object.values(patientLists).some(list => list.hashes.size > 0) ? await hashPatients(patients) : new Map();
+        Object.entries(patientLists).forEach(([kind, list]) => { listMatches[kind] = matchPatientList(list, patients, hashes); });
+    }
+    progress('cohort', 0.5, `Applying ${cohort.steps.length} cohort filter steps...`);
+    const cohortResult = applyCohortFilters(jsonData, columns, cohort, {
+        exclude: listMatches.exclude && listMatches.exclude.patients,
+        include: listMatches.include && listMatches.include.patients
+    });
+    const listReport = {};
+    Object.entries(patientLists).forEach(([kind, list]) => {
+        const match = listMatches[kind];
+        const entry = {
+            name: list.name,
+            entries: list.pnrs.size + list.hashes.size,
+            hashed: list.hashes.size,
+            not_found: match.notFound,
+            patients: match.patients.size
+        };
+        if (kind === 'exclude') {
+            entry.rows_removed = cohortResult.excluded.rows;
+        } else {
+            entry.kept_by_override = cohortResult.included.patients;
+            entry.rows_kept_by_override = cohortResult.included.rows;
+            entry.also_excluded = listMatches.exclude
+                ? [...match.patients].filter(pnr => listMatches.exclude.patients.has(pnr)).length : 0;
+        }
+        listReport[kind] = entry;
+    });
+    const { data: cohortData, patientCount } = cohortResult;
+
+    progress('pseudonyms', 0, `Filtered to ${cohortData.length} rows (${patientCount} patients). Replacing PNR with keyed pseudonyms...`);
+    // Without a project secret the key is random and forgotten after the run, never the seed:
+    // a guessable seed would otherwise give away the pseudonyms
+    const pseudonymKey = await importPseudonymKey(secret || generateSeed());
+    const { data: updatedData, mapping: pnrMapping } = await createID(cohortData, columns, pseudonymKey, idLength, done => {
+        progress('pseudonyms', done / patientCount, `Replacing PNR with keyed pseudonyms (${done} of ${patientCount} patients)...`);
+    });
+
+    progress('dates', 0, `Replacing dates: ${describeTemporalSpec(dateSpec)}...`);
+    const dateReport = anonymizeDates(updatedData, columns, dateCheck.format, dateSpec, { random: rng });
+
+    progress('columns', 0, 'Anonymizing columns...');
+    const stage = createColumnStage(updatedData, columns, featureMap, {
+        seed,
+        names: collectNames(jsonData, findColumnCaseInsensitive(columns, 'namn')),
+        patients: updatedData.map(row => row[pnrCol]),
+        fixed: [pnrCol, dateCol],
+        progress: (done, total) => progress('columns', done / total, `Anonymizing columns (${done} of ${total})...`)
+    });
+
+    progress('columns', 1, 'Waiting for the preview to be confirmed...');
+    const confirmed = await hooks.preview(createPreviewSession(stage, {
+        original: cohortData,
+        rows: (featureMap._config.preview || {}).rows || 100,
+        constraints: featureMap._config.constraints,
+        riskSettings
+    }), {
+        fixed: { [pnrCol]: `pseudonym (${idLength} characters)`, [dateCol]: describeTemporalSpec(dateSpec) },
+        configured: [...columnActions(columns, featureMap)].map(([col, entry]) => [col, entry.action])
+    });
+    if (!confirmed) return { cancelled: true };
+
+    featureMap = stage.featureMap();
+    const epsilonTotal = epsilonSpent(featureMap);
+    const output = stage.assemble(featureMap._config.constraints);
+    const { data: finalData, columns: finalColumns, removed: columnsToDrop } = output;
+    const transformReport = output.transforms;
+    const redactionReport = output.redactions;
+    const constraintReport = output.constraints;
+    const modifiedCount = Object.values(transformReport).reduce((sum, entry) => sum + entry.modified, 0);
+
+    progress('reports', 0, 'Comparing distributions...');
+    const utilityReport = computeUtilityReport(cohortData, finalData, columns, featureMap);
+
+    progress('reports', 0.5, 'Assessing disclosure risk...');
+    const riskReport = assessDisclosureRisk(finalData, finalColumns, riskSettings);
+
+    progress('write', 0, 'Writing output files...');
+    const baseName = input.baseName || sheets[0].name.replace(/\.[^/.]+$/, '') + (mergeReport ? '_merged' : '');
+    // Pseudonyms stay text even when every character happens to be a digit
+    const writeOptions = { ...exportSettings.csv, textColumns: [pnrCol] };
+    const originalNames = Object.fromEntries(Object.entries(headerRenames).map(([header, canonical]) => [canonical, header]));
+    const dictionary = exportSettings.dictionary
+        ? buildDataDictionary(finalColumns, featureMap, {
+            [pnrCol]: { action: 'pseudonym', details: `HMAC-SHA-256, ${idLength} characters` },
+            [dateCol]: { action: 'temporal', details: describeTemporalSpec(dateSpec) }
+        }, originalNames)
+        : null;
+    // Each shape is written in every format; wide and summary files are named <base>.wide.csv...
+    const shapes = buildOutputShapes(finalData, finalColumns, pnrCol, dateCol, dateSpec.mode, exportSettings);
+    const outputs = [];
+    shapes.forEach(({ suffix, data: shapeData, columns: shapeColumns }, i) => {
+        const name = baseName + suffix;
+        if (exportSettings.formats.includes('csv')) {
+            outputs.push({ name: `${name}.csv`, type: 'text/csv;charset=utf-8;', content: buildCSV(shapeData, shapeColumns, writeOptions) });
+        }
+        if (exportSettings.formats.includes('xlsx')) {
+            progress('write', 0.3 * (i + 1) / shapes.length, 'Writing the Excel workbook...');
+            outputs.push({
+                name: `${name}.xlsx`,
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                content: buildWorkbook(shapeData, shapeColumns, i === 0 ? dictionary : null, writeOptions)
+            });
+        }
+        if (exportSettings.formats.includes('jsonl')) {
+            outputs.push({ name: `${name}.jsonl`, type: 'application/x-ndjson', content: buildJSONLines(shapeData, shapeColumns, writeOptions) });
+        }
+    });
+    // The first workbook has the dictionary as a sheet; the text formats get it as a file
+    if (dictionary && exportSettings.formats.some(format => format !== 'xlsx')) {
+        outputs.push({ name: `${baseName}.dictionary.csv`, type: 'text/csv;charset=utf-8;', content: buildCSV(dictionary, DICTIONARY_COLUMNS, exportSettings.csv) });
+    }
+    progress('write', 0.7, 'Writing the manifest...');
+    const outputFiles = [];
+    for (const file of outputs) {
+        outputFiles.push({ name: file.name, sha256: await sha256Hex(file.content) });
+    }
+
+    const manifest = buildManifest({
+        input: mergeReport
+            ? {
+                sources: sheets.map(sheet => ({ name: sheet.name, sha256: sheet.sha256, bytes: sheet.bytes, sheet: sheet.sheet, rows: sheet.rows })),
+                rows: jsonData.length,
+                merge: mergeReport
+            }
+            : { name: sheets[0].name, sha256: sheets[0].sha256, bytes: sheets[0].bytes, sheet: sheets[0].sheet, rows: jsonData.length },
+        validation: {
+            rules: plausibility.rules.map(rule => ({
+                column: rule.column,
+                rule: rule.rule,
+                checked: rule.checked,
+                normalized: rule.normalized,
+                problems: Object.fromEntries(Object.entries(rule.problems).map(([kind, problem]) => [kind, problem.count])),
+                action: validation.report[rule.column] ? validation.report[rule.column].action : null
+            })),
+            rows_dropped: validation.dropped,
+            decimal_commas: decimalCommas
+        },
+        seedProvided: !!input.seed,
+        profile: {
+            name: profile.name,
+            version: profile.version,
+            updated: profile.updated,
+            sha256: await sha256Hex(JSON.stringify(profile.feature_map))
+        },
+        config: { feature_map: featureMap, cohort, risk: riskSettings, export: exportSettings },
+        pseudonyms: {
+            method: 'HMAC-SHA-256',
+            length: idLength,
+            keyed_with: secret ? 'project secret' : 'random run key',
+            key_file_exported: !!input.keyFilePassphrase
+        },
+        filters: {
+            date_format: mergeReport ? 'per source' : dateCheck.format,
+            date_errors: { count: dateCheck.errors.length, action: dateErrorAction },
+            patient_lists: listReport,
+            combine: cohortResult.combine,
+            steps: cohortResult.steps,
+            rows: cohortData.length,
+            patients: patientCount
+        },
+        columns: {
+            dates: { mode: dateReport.mode, patients_without_index: dateReport.withoutIndex },
+            duplicate_headers: duplicateHeaders,
+            header_matches: {
+                aliases: headerAliases,
+                fuzzy: acceptedMatches
+            },
+            removed: columnsToDrop,
+            unmapped: unmappedChoices,
+            transforms: transformReport,
+            constraints: constraintReport,
+            epsilon_spent: epsilonTotal,
+            redactions: redactionReport
+        },
+        output: {
+            rows: finalData.length,
+            columns: finalColumns,
+            shapes: Object.fromEntries(shapes.map(shape => [shape.shape, shape.report])),
+            files: outputFiles
+        }
+    });
+
+    // Several outputs go in one ZIP with the manifest; otherwise the manifest is a download of its own
+    const downloads = outputs.length > 1
+        ? [{
+            name: baseName + '.zip',
+            type: 'application/zip',
+            content: buildZip(outputs.concat({ name: baseName + '.manifest.json', content: JSON.stringify(manifest, null, 2) }))
+        }]
+        : [outputs[0], { name: baseName + '.manifest.json', type: 'application/json', content: JSON.stringify(manifest, null, 2) }];
+
+    // The key file is its own download so it can be stored apart from the data
+    if (input.keyFilePassphrase) {
+        progress('write', 0.9, 'Encrypting the key file...');
+        const keyFile = await encryptKeyTable(pnrMapping, input.keyFilePassphrase, {
+            source: [...new Set(sheets.map(sheet => sheet.name))].join(', '),
+            input_sha256: [...new Set(sheets.map(sheet => sheet.sha256))].join(', '),
+            pseudonym_length: idLength,
+            patients: pnrMapping.size
+        });
+        downloads.push({ name: baseName + '.keyfile.json', type: 'application/json', content: JSON.stringify(keyFile, null, 2) });
+    }
+    progress('write', 1, 'Done');
+
+    // Build diagnostic summary visible in the UI
+    const diagLines = [];
+    diagLines.push(`Mapping profile: ${profile.name}`);
+    if (mergeReport) {
+        const mergeLines = mergeReport.sources.map(source => `  ${source.label}: ${source.rows} rows, dates as ${source.date_format}`)
+            .concat(mergeReport.stacked.filter(group => group.sources.includes(' + '))
+                .map(group => `  Stacked: ${group.sources} (${group.rows} rows${group.reconciled.length > 0
+                    ? `; ${group.reconciled.map(entry => `${entry.from} → ${entry.to}`).join(', ')}` : ''})`))
+            .concat(mergeReport.joins.map(join => `  Joined ${join.source} on PNR and DATUM (±${mergeReport.tolerance_days} days): ` +
+                `${join.matched} rows matched (${join.matched_with_offset} on a different date), ` +
+                `${join.unmatched} unmatched ${join.unmatched_action === 'drop' ? 'dropped' : 'kept as rows of their own'}`));
+        diagLines.push(`Sources (${mergeReport.sources.length}):\n${mergeLines.join('\n')}`);
+    }
+    diagLines.push(`Columns read from file (${columns.length}): ${columns.join(', ')}`);
+    const duplicateLines = Object.entries(duplicateHeaders).map(([name, renamed]) => `  ${name} → ${renamed.join(', ')}`);
+    if (duplicateLines.length > 0) {
+        diagLines.push(`Repeated headers (renamed in order of appearance):\n${duplicateLines.join('\n')}`);
+    }
+    const matchLines = Object.entries(headerAliases).map(([header, canonical]) => `  ${header} → ${canonical} (alias)`)
+        .concat(acceptedMatches.map(match => `  ${match.header} → ${match.canonical} (similar name, ${Math.round(match.similarity * 100)}%)`));
+    if (matchLines.length > 0) {
+        diagLines.push(`Headers matched to FEATURE_MAP:\n${matchLines.join('\n')}`);
+    }
+    if (unmapped.length > 0) {
+        diagLines.push(`Unmapped columns (${unmapped.length}): ${unmapped.map(col => `${col} → ${unmappedChoices[col]}`).join(', ')}`);
+    }
+    diagLines.push(`Columns removed (${columnsToDrop.length}): ${columnsToDrop.join(', ')}`);
+    diagLines.push(`Columns in output (${finalColumns.length}): ${finalColumns.join(', ')}`);
+    shapes.forEach(({ shape, report }) => {
+        if (shape === 'wide') {
+            diagLines.push(`Wide table: ${report.rows} patients, visits 1–${report.max_visits}` +
+                (report.patients_truncated > 0 ? ` (later visits of ${report.patients_truncated} patients left out)` : ''));
+        } else if (shape === 'summary') {
+            diagLines.push(`Summary table: ${report.rows} patients, first, last, min, max and slope per year of ` +
+                `${report.columns.join(', ') || 'no columns'}` +
+                (report.not_in_output.length > 0 ? ` (not in the output: ${report.not_in_output.join(', ')})` : ''));
+        }
+    });
+    diagLines.push(`Rows before filtering: ${jsonData.length}`);
+    const validationVerbs = { coerce: 'coerced', blank: 'blanked', drop: 'rows dropped' };
+    const validationLines = plausibility.rules
+        .filter(rule => rule.violations > 0 || rule.normalized.unit > 0 || rule.normalized.decimal_comma > 0)
+        .map(rule => {
+            const parts = Object.values(rule.problems).map(problem => `${problem.count} ${problem.label} (sheet rows ${problem.rows.join(', ')})`);
+            if (rule.normalized.unit > 0) parts.push(`${rule.normalized.unit} written with the unit`);
+            if (rule.normalized.decimal_comma > 0) parts.push(`${rule.normalized.decimal_comma} with a decimal comma`);
+            const handled = validation.report[rule.column];
+            return `  ${rule.column} (${rule.rule}): ${parts.join(', ')}${handled ? ` → ${validationVerbs[handled.action]}` : ''}`;
+        });
+    if (validationLines.length > 0) {
+        diagLines.push(`Validation (${plausibility.violations} values outside their rule` +
+            `${validation.dropped > 0 ? `, ${validation.dropped} rows dropped` : ''}):\n${validationLines.join('\n')}`);
+    }
+    const commaColumns = Object.entries(decimalCommas).map(([col, count]) => `${col} (${count})`);
+    if (commaColumns.length > 0) diagLines.push(`Decimal commas read in columns without a rule: ${commaColumns.join(', ')}`);
+    if (!mergeReport) diagLines.push(`Date format in ${dateCol}: ${dateCheck.format}`);
+    diagLines.push(`${dateCol} replaced by ${dateReport.description}` +
+        (dateReport.withoutIndex > 0 ? ` (${dateReport.withoutIndex} patients without an index visit have no value)` : ''));
+    if (dateCheck.errors.length > 0) {
+        const verb = dateErrorAction === 'drop' ? 'dropped' : 'flagged';
+        diagLines.push(`Unparseable dates (${dateCheck.errors.length}, ${verb}) at sheet rows: ${dateCheck.errors.map(error => error.row).join(', ')}`);
+    }
+    if (listReport.exclude) {
+        const list = listReport.exclude;
+        diagLines.push(`Exclusion list ${list.name} (${list.entries} entries): ${list.patients} patients excluded (${list.rows_removed} rows)` +
+            (list.not_found > 0 ? `, ${list.not_found} entries not in the data` : ''));
+    }
+    if (listReport.include) {
+        const list = listReport.include;
+        diagLines.push(`Inclusion list ${list.name} (${list.entries} entries): ${list.patients} patients in the data, ` +
+            `${list.kept_by_override} kept only because of the list (${list.rows_kept_by_override} rows)` +
+            (list.also_excluded > 0 ? `, ${list.also_excluded} excluded anyway by the exclusion list` : '') +
+            (list.not_found > 0 ? `, ${list.not_found} entries not in the data` : ''));
+    }
+    diagLines.push(`Cohort steps (combined with ${cohortResult.combine.toUpperCase()}):\n` + cohortResult.steps
+        .map((step, i) => `  ${i + 1}. ${step.label}: ${step.rows} rows, ${step.patients} patients`)
+        .join('\n'));
+    diagLines.push(`Rows after cohort filtering: ${cohortData.length} (${patientCount} patients)`);
+    diagLines.push(secret
+        ? `Pseudonyms: HMAC-SHA-256 with the project secret, ${idLength} characters (linkable across deliveries)`
+        : `Pseudonyms: HMAC-SHA-256 with a random key for this run, ${idLength} characters (not linkable across deliveries)`);
+    if (unrecognizedPnrs > 0) {
+        diagLines.push(`PNR values not in 10 or 12 digit form (pseudonymized as written): ${unrecognizedPnrs}`);
+    }
+    const redactionLines = Object.entries(redactionReport).map(([col, { total, byType }]) => {
+        const types = Object.entries(byType).map(([type, count]) => `${type} ${count}`).join(', ');
+        return `  ${col}: ${total}${types ? ` (${types})` : ''}`;
+    });
+    if (redactionLines.length > 0) {
+        diagLines.push(`Free-text redactions:\n${redactionLines.join('\n')}`);
+    }
+    diagLines.push(`Column transforms (${modifiedCount} values modified):\n` + Object.entries(transformReport)
+        .map(([col, { action, modified }]) => `  ${col}: ${action} (${modified} values)`)
+        .join('\n'));
+    if (Object.keys(constraintReport).length > 0) {
+        diagLines.push('Constraints (values moved to the bound):\n' + Object.entries(constraintReport)
+            .map(([constraint, adjusted]) => `  ${constraint}: ${adjusted}`)
+            .join('\n'));
+    }
+    if (epsilonTotal > 0) diagLines.push(`Laplace noise ε spent: ${epsilonTotal}`);
+
+    return {
+        cancelled: false,
+        baseName,
+        rows: finalData.length,
+        columns: finalColumns.length,
+        downloads,
+        riskReport,
+        utilityReport,
+        diagnostics: diagLines
+    };
+}
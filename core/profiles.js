@@ -0,0 +1,128 @@
+// Mapping profiles: a named FEATURE_MAP that can be saved in the browser and shared as a JSON file
+import { validateExportSettings } from './export.js';
+import { epsilonSpent } from './noise.js';
+import { validateShapeSettings } from './shapes.js';
+import { temporalSpec } from './temporal.js';
+import { validateFeatureMap } from './transforms.js';
+import { validateValidationSettings } from './validation.js';
+
+const PROFILE_FORMAT = 'anonymizer-profile';
+const PROFILE_VERSION = 1;
+export const DEFAULT_PROFILE_NAME = 'Default (config.js)';
+
+// Allowed _config settings: a type name ("number|null"), a list of allowed values, or a nested object
+const CONFIG_SCHEMA = {
+    strict_columns: 'boolean',
+    unmapped_columns: ['review', 'drop', 'abort'],
+    aliases: 'object',
+    header_matching: { fuzzy: ['confirm', 'accept', 'off'], min_similarity: 'number' },
+    pseudonym: { length: 'number' },
+    dates: { format: 'string', on_error: ['ask', 'drop', 'flag', 'abort'] },
+    validation: { on_violation: ['ask', 'coerce', 'blank', 'drop', 'abort'], decimal_comma: 'boolean', rules: 'object' },
+    merge: { stack_similarity: 'number', tolerance_days: 'number', unmatched: ['keep', 'drop'] },
+    noise: { epsilon_budget: 'number|null' },
+    constraints: 'array',
+    preview: { rows: 'number' },
+    export: {
+        formats: 'array',
+        csv: { delimiter: 'string', decimal: 'string', quoting: 'string' },
+        dictionary: 'boolean',
+        shapes: 'array',
+        wide: { max_visits: 'number' },
+        summary: { columns: 'array' }
+    },
+    utility: { key_columns: 'array' },
+    risk: {
+        quasi_identifiers: 'array',
+        include_visit_count: 'boolean',
+        sensitive: 'string|null',
+        min_k: 'number',
+        below_min_k: ['warn', 'block']
+    },
+    cohort: { combine: ['and', 'or'], steps: 'array' }
+};
+
+function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkSchema(value, schema, path, errors) {
+    if (typeof schema === 'string') {
+        const allowed = schema.split('|');
+        if (!allowed.includes(schemaType(value))) errors.push(`${path} must be ${allowed.join(' or ')}`);
+        return;
+    }
+    if (Array.isArray(schema)) {
+        if (!schema.includes(value)) errors.push(`${path} must be one of ${schema.map(option => JSON.stringify(option)).join(', ')}`);
+        return;
+    }
+    if (schemaType(value) !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    for (const [key, entry] of Object.entries(value)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) errors.push(`${path}.${key} is not a known setting`);
+        else checkSchema(entry, schema[key], `${path}.${key}`, errors);
+    }
+}
+
+export function createProfile(name, featureMap) {
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        name,
+        updated: new Date().toISOString(),
+        feature_map: JSON.parse(JSON.stringify(featureMap))
+    };
+}
+
+// Throws one error listing every problem found
+export function validateProfile(profile) {
+    const errors = [];
+    if (schemaType(profile) !== 'object' || profile.format !== PROFILE_FORMAT) {
+        throw new Error('Not a mapping profile from this tool');
+    }
+    if (typeof profile.version !== 'number' || profile.version > PROFILE_VERSION) {
+        errors.push(`version ${profile.version} is not supported (this tool reads version ${PROFILE_VERSION})`);
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        errors.push('name must be a non-empty string');
+    }
+
+    const featureMap = profile.feature_map;
+    if (schemaType(featureMap) !== 'object') {
+        errors.push('feature_map must be an object');
+    } else {
+        if (schemaType(featureMap._config) !== 'object') errors.push('feature_map._config must be an object');
+        else {
+            checkSchema(featureMap._config, CONFIG_SCHEMA, '_config', errors);
+            const aliases = featureMap._config.aliases;
+            if (schemaType(aliases) === 'object') {
+                Object.entries(aliases).forEach(([col, names]) => {
+                    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+                        errors.push(`_config.aliases.${col} must be a list of header names`);
+                    }
+                });
+            }
+        }
+        try {
+            validateFeatureMap(featureMap);
+            epsilonSpent(featureMap);
+            const dateSpec = temporalSpec(featureMap[Object.keys(featureMap).find(key => key.toLowerCase() === 'datum')]);
+            if (schemaType(featureMap._config) === 'object') {
+                validateExportSettings(featureMap._config.export || {});
+                validateShapeSettings(featureMap._config.export || {}, dateSpec.mode);
+                validateValidationSettings(featureMap._config.validation || {});
+            }
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid profile: ${errors.join('; ')}`);
+    }
+    return profile;
+}
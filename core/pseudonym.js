@@ -0,0 +1,88 @@
+// Keyed pseudonyms for personnummer: HMAC-SHA-256 under a project secret
+import { findColumnCaseInsensitive } from './columns.js';
+import { toHex } from './random.js';
+
+const MIN_PSEUDONYM_LENGTH = 8;
+const MAX_PSEUDONYM_LENGTH = 64;
+
+// 12 digits without separators, so "19450312-1234", "194503121234" and "450312-1234" agree.
+// A "+" separator marks a 10-digit number of someone aged 100 or more. Returns null for
+// values that are not 10 or 12 digits.
+export function normalizePnr(value, referenceYear = new Date().getFullYear()) {
+    if (value == null) return null;
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '');
+
+    if (digits.length === 12) return digits;
+    if (digits.length !== 10) return null;
+
+    let year = 2000 + parseInt(digits.substring(0, 2), 10);
+    if (year > referenceYear) year -= 100;
+    if (text.includes('+')) year -= 100;
+    return String(year).substring(0, 2) + digits;
+}
+
+// Rewrites the PNR column to its normalized form; unrecognized values are left as they are
+export function normalizePnrColumn(data, pnrCol) {
+    let unrecognized = 0;
+    data.forEach(row => {
+        const normalized = normalizePnr(row[pnrCol]);
+        if (normalized) row[pnrCol] = normalized;
+        else if (row[pnrCol] != null && String(row[pnrCol]).trim() !== '') unrecognized++;
+    });
+    return { unrecognized };
+}
+
+export async function importPseudonymKey(secret) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+}
+
+async function pseudonymize(key, pnr, length) {
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(String(pnr).trim()));
+    return toHex(signature).substring(0, length);
+}
+
+export function pseudonymLength(config) {
+    const length = Number((config.pseudonym || {}).length) || 16;
+    if (length < MIN_PSEUDONYM_LENGTH || length > MAX_PSEUDONYM_LENGTH) {
+        throw new Error(`Pseudonym length must be between ${MIN_PSEUDONYM_LENGTH} and ${MAX_PSEUDONYM_LENGTH}, got ${length}`);
+    }
+    return length;
+}
+
+// Replaces every PNR with its pseudonym; returns the new rows and the PNR → pseudonym mapping.
+// onProgress(patients done) is called every 1000 patients.
+export async function createID(data, columns, key, length, onProgress) {
+    const pnrCol = findColumnCaseInsensitive(columns, 'pnr');
+    if (!pnrCol) {
+        throw new Error('PNR column not found');
+    }
+
+    const pnrMapping = new Map();
+    const seen = new Map();
+    for (const row of data) {
+        const pnr = row[pnrCol];
+        if (pnrMapping.has(pnr)) continue;
+
+        const pseudonym = await pseudonymize(key, pnr, length);
+        if (seen.has(pseudonym)) {
+            throw new Error(`Two patients got the same pseudonym at length ${length}. Increase the pseudonym length.`);
+        }
+        seen.set(pseudonym, pnr);
+        pnrMapping.set(pnr, pseudonym);
+        if (onProgress && pnrMapping.size % 1000 === 0) onProgress(pnrMapping.size);
+    }
+
+    const anonData = data.map(row => ({
+        ...row,
+        [pnrCol]: pnrMapping.get(row[pnrCol])
+    }));
+
+    return { data: anonData, mapping: pnrMapping };
+}
@@ -0,0 +1,131 @@
+// Free-text redaction for columns whose FEATURE_MAP action is "scrub"
+import { resolveColumn } from './columns.js';
+import { actionType } from './transforms.js';
+
+const SWEDISH_MONTHS = 'jan(?:uari)?|feb(?:ruari)?|mar(?:s)?|apr(?:il)?|maj|jun(?:i)?|jul(?:i)?|aug(?:usti)?|sep(?:tember)?|okt(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// Applied in this order, so a personnummer is never half-eaten by the date or phone patterns.
+// Names from the file run last, after e-mail addresses are already gone.
+const REDACTION_PATTERNS = [
+    {
+        type: 'EMAIL',
+        regex: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu
+    },
+    {
+        // 10 or 12 digits, optional - or + before the last four; the date part must look valid
+        // (day 61-91 covers samordningsnummer)
+        type: 'PNR',
+        regex: /(?<!\d)(?:19|20)?\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01]|[6-8]\d|9[01])[-+]?\d{4}(?!\d)/g
+    },
+    {
+        type: 'DATE',
+        regex: new RegExp([
+            '\\b(?:19|20)\\d{2}[-/.](?:0?[1-9]|1[0-2])[-/.](?:0?[1-9]|[12]\\d|3[01])\\b',
+            '\\b(?:19|20)\\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\\d|3[01])\\b',
+            '\\b(?:0?[1-9]|[12]\\d|3[01])[/.](?:0?[1-9]|1[0-2])[/.](?:\\d{4}|\\d{2})\\b',
+            '\\b(?:0?[1-9]|[12]\\d|3[01])/(?:0?[1-9]|1[0-2])\\b',
+            `\\b(?:0?[1-9]|[12]\\d|3[01])\\s*(?:${SWEDISH_MONTHS})\\.?(?:\\s+(?:19|20)\\d{2})?(?![\\p{L}])`
+        ].join('|'), 'giu')
+    },
+    {
+        type: 'PHONE',
+        regex: /(?:\+46[\s-]?|0046[\s-]?|\b0)\d{1,3}[\s-]?\d{2,4}(?:[\s-]?\d{2,4}){1,3}\b/g
+    }
+];
+
+const MIN_NAME_LENGTH = 3;
+
+// Full names plus their individual parts, taken from every row of the file
+export function collectNames(data, namnCol) {
+    const names = new Set();
+    if (!namnCol) return names;
+
+    data.forEach(row => {
+        const value = row[namnCol];
+        if (value == null) return;
+        const full = String(value).trim();
+        if (full.length >= MIN_NAME_LENGTH) names.add(full);
+        full.split(/[\s,]+/).forEach(part => {
+            if (part.length >= MIN_NAME_LENGTH && /^[\p{L}'-]+$/u.test(part)) names.add(part);
+        });
+    });
+    return names;
+}
+
+const NAME_BOUNDARY = /[\p{L}\p{N}]/u;
+
+// Names are looked up by their first letters where a word starts, rather than as one
+// alternation of every name, which would be tried at each position of each text and so
+// slow down with the number of patients. Longer names win, as in an alternation.
+function createNameReplacer(names) {
+    if (names.size === 0) return null;
+    const byPrefix = new Map();
+    [...names].sort((a, b) => b.length - a.length).forEach(name => {
+        const prefix = name.slice(0, MIN_NAME_LENGTH).toLowerCase();
+        if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+        byPrefix.get(prefix).push({ length: name.length, lower: name.toLowerCase() });
+    });
+
+    return (text, onMatch) => {
+        let result = '';
+        let copied = 0;
+        for (let i = 0; i <= text.length - MIN_NAME_LENGTH; i++) {
+            if (i > 0 && NAME_BOUNDARY.test(text[i - 1])) continue;
+            const candidates = byPrefix.get(text.slice(i, i + MIN_NAME_LENGTH).toLowerCase());
+            if (!candidates) continue;
+            const match = candidates.find(candidate =>
+                text.slice(i, i + candidate.length).toLowerCase() === candidate.lower &&
+                !NAME_BOUNDARY.test(text[i + candidate.length] || ''));
+            if (!match) continue;
+            result += text.slice(copied, i) + onMatch();
+            copied = i + match.length;
+            i = copied - 1;
+        }
+        return copied === 0 ? text : result + text.slice(copied);
+    };
+}
+
+function createTextScrubber(names) {
+    const replaceNames = createNameReplacer(names);
+
+    return text => {
+        const counts = {};
+        const replacement = type => () => {
+            counts[type] = (counts[type] || 0) + 1;
+            return `[${type}]`;
+        };
+        let result = String(text);
+        for (const { type, regex } of REDACTION_PATTERNS) {
+            result = result.replace(regex, replacement(type));
+        }
+        if (replaceNames) result = replaceNames(result, replacement('NAME'));
+        return { text: result, counts };
+    };
+}
+
+// Redacts every "scrub" column in place and returns redaction counts per column and type
+export function scrubFreeText(data, columns, featureMap, names) {
+    const scrub = createTextScrubber(names);
+    const report = {};
+
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_') || actionType(action) !== 'scrub') continue;
+        const actualCol = resolveColumn(columns, mapCol);
+        if (!actualCol) continue;
+
+        const columnReport = { total: 0, byType: {} };
+        data.forEach(row => {
+            const value = row[actualCol];
+            if (value == null || typeof value !== 'string' || value.trim() === '') return;
+            const { text, counts } = scrub(value);
+            row[actualCol] = text;
+            for (const [type, count] of Object.entries(counts)) {
+                columnReport.byType[type] = (columnReport.byType[type] || 0) + count;
+                columnReport.total += count;
+            }
+        });
+        report[actualCol] = columnReport;
+    }
+
+    return report;
+}
@@ -0,0 +1,94 @@
+// Disclosure risk of the final dataset: equivalence classes over the quasi-identifiers
+import { findColumnCaseInsensitive, resolveColumn } from './columns.js';
+import { actionType } from './transforms.js';
+
+// Mapped columns that can be quasi-identifiers: kept in some form, and not PNR or DATUM
+export function riskCandidateColumns(featureMap) {
+    return Object.keys(featureMap).filter(col =>
+        !col.startsWith('_') && actionType(featureMap[col]) !== 'rm' && !['pnr', 'datum'].includes(col.toLowerCase())
+    );
+}
+
+// The run settings _config.risk asks for, as the risk panel starts out
+export function riskSettingsFromConfig(featureMap) {
+    const settings = featureMap._config.risk || {};
+    const candidates = riskCandidateColumns(featureMap);
+    return {
+        quasiIdentifiers: candidates.filter(col => (settings.quasi_identifiers || []).includes(col)),
+        includeVisitCount: settings.include_visit_count !== false,
+        sensitive: candidates.includes(settings.sensitive) ? settings.sensitive : null,
+        minK: settings.min_k || 5,
+        belowMinK: settings.below_min_k === 'block' ? 'block' : 'warn'
+    };
+}
+
+// Class sizes count distinct patients, not rows, so a patient with many
+// identical visits still forms a class of one.
+export function assessDisclosureRisk(data, columns, options) {
+    const idCol = findColumnCaseInsensitive(columns, 'pnr');
+    if (!idCol) {
+        throw new Error('PNR column not found (needed for the risk report)');
+    }
+
+    const quasiIdentifiers = [];
+    const missing = [];
+    (options.quasiIdentifiers || []).forEach(name => {
+        const col = resolveColumn(columns, name);
+        if (col) quasiIdentifiers.push(col);
+        else missing.push(name);
+    });
+    const sensitive = options.sensitive ? resolveColumn(columns, options.sensitive) : null;
+
+    const visitCounts = new Map();
+    data.forEach(row => visitCounts.set(row[idCol], (visitCounts.get(row[idCol]) || 0) + 1));
+
+    const classes = new Map();
+    data.forEach(row => {
+        const key = quasiIdentifiers.map(col => (row[col] == null ? '' : String(row[col])));
+        if (options.includeVisitCount) key.push(visitCounts.get(row[idCol]));
+        const classKey = JSON.stringify(key);
+
+        if (!classes.has(classKey)) {
+            classes.set(classKey, { patients: new Set(), sensitiveValues: new Set() });
+        }
+        const eqClass = classes.get(classKey);
+        eqClass.patients.add(row[idCol]);
+        if (sensitive && row[sensitive] != null && String(row[sensitive]).trim() !== '') {
+            eqClass.sensitiveValues.add(String(row[sensitive]));
+        }
+    });
+
+    let k = Infinity;
+    let l = Infinity;
+    const uniquePatients = new Set();
+    const sizeHistogram = {};
+    classes.forEach(eqClass => {
+        const size = eqClass.patients.size;
+        k = Math.min(k, size);
+        if (sensitive) l = Math.min(l, eqClass.sensitiveValues.size);
+        if (size === 1) eqClass.patients.forEach(pnr => uniquePatients.add(pnr));
+
+        const bucket = size >= 10 ? '10+' : String(size);
+        sizeHistogram[bucket] = (sizeHistogram[bucket] || 0) + 1;
+    });
+
+    const patientCount = visitCounts.size;
+    const minK = Number(options.minK) || 1;
+
+    return {
+        quasiIdentifiers,
+        includeVisitCount: !!options.includeVisitCount,
+        missingQuasiIdentifiers: missing,
+        sensitive,
+        records: data.length,
+        patients: patientCount,
+        equivalenceClasses: classes.size,
+        k: classes.size > 0 ? k : 0,
+        l: sensitive && classes.size > 0 ? l : null,
+        uniquePatients: uniquePatients.size,
+        uniquePatientFraction: patientCount > 0 ? uniquePatients.size / patientCount : 0,
+        classSizeHistogram: sizeHistogram,
+        minK,
+        passes: classes.size > 0 && k >= minK
+    };
+}
@@ -0,0 +1,140 @@
+// Output shapes built from the anonymized visits: "long" is the table as it is, one row per
+// visit; "wide" one row per patient with every column suffixed by visit number (EF_v1,
+// EF_v2...); "summary" one row per patient with the first, last, min, max and slope of
+// chosen numeric columns. Times come from the anonymized DATUM, never the real dates.
+import { resolveColumn } from './columns.js';
+import { parseDateValue } from './dates.js';
+import { toNumber } from './transforms.js';
+
+export const OUTPUT_SHAPES = ['long', 'wide', 'summary'];
+export const DEFAULT_MAX_VISITS = 10;
+
+const DAY_MODES = ['days_since_first', 'days_since_index', 'shift'];
+const DAYS_PER_YEAR = 365.25;
+const SUMMARY_STATISTICS = ['first', 'last', 'min', 'max', 'slope_per_year'];
+
+// Throws on the first shape setting that cannot be written with this DATUM mode
+export function validateShapeSettings(settings, dateMode) {
+    const shapes = settings.shapes || ['long'];
+    const unknown = shapes.filter(shape => !OUTPUT_SHAPES.includes(shape));
+    if (unknown.length > 0) throw new Error(`Unknown output shape: ${unknown.join(', ')} (use ${OUTPUT_SHAPES.join(', ')})`);
+    if (shapes.length === 0) throw new Error('Choose at least one output shape');
+    const maxVisits = (settings.wide || {}).max_visits;
+    if (maxVisits != null && !(Number.isInteger(maxVisits) && maxVisits > 0)) {
+        throw new Error('wide.max_visits must be a whole number above 0');
+    }
+    const summaryColumns = (settings.summary || {}).columns;
+    if (summaryColumns != null && !Array.isArray(summaryColumns)) throw new Error('summary.columns must be a list of column names');
+    if (shapes.includes('summary') && !DAY_MODES.includes(dateMode)) {
+        throw new Error(`The summary table needs DATUM as days (${DAY_MODES.join(', ')}); the profile writes it as ${dateMode}`);
+    }
+}
+
+// The day of a visit on a scale shared by the patient's visits, or null where DATUM has none
+function visitDay(value, dateMode) {
+    if (value == null || value === '') return null;
+    if (dateMode === 'shift') return parseDateValue(String(value), 'YYYY-MM-DD');
+    return DAY_MODES.includes(dateMode) ? toNumber(value) : null;
+}
+
+// Each patient's rows in visit order, patients in order of first appearance. Modes without
+// days sort on DATUM as written: visit numbers as numbers, years and months as text.
+function visitsByPatient(data, pnrCol, dateCol, dateMode) {
+    const patients = new Map();
+    data.forEach((row, idx) => {
+        const pnr = row[pnrCol];
+        if (!patients.has(pnr)) patients.set(pnr, []);
+        const value = row[dateCol];
+        const day = visitDay(value, dateMode);
+        const key = day != null ? day : dateMode === 'visit_number' ? toNumber(value) : value;
+        patients.get(pnr).push({ row, day, key, idx });
+    });
+    const compare = (a, b) => {
+        if (a.key == null || b.key == null) return (a.key == null) - (b.key == null) || a.idx - b.idx;
+        if (a.key < b.key) return -1;
+        if (a.key > b.key) return 1;
+        return a.idx - b.idx;
+    };
+    patients.forEach(visits => visits.sort(compare));
+    return patients;
+}
+
+function followUpDays(visits) {
+    const days = visits.map(visit => visit.day).filter(day => day != null);
+    return days.length > 0 ? Math.max(...days) - Math.min(...days) : null;
+}
+
+// Least squares slope of value against time, per year; null with fewer than two distinct days
+function slopePerYear(points) {
+    if (new Set(points.map(point => point.day)).size < 2) return null;
+    const meanDay = points.reduce((sum, point) => sum + point.day, 0) / points.length;
+    const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+        covariance += (point.day - meanDay) * (point.value - meanValue);
+        variance += (point.day - meanDay) ** 2;
+    });
+    return Math.round(covariance / variance * DAYS_PER_YEAR * 10000) / 10000;
+}
+
+function buildWide(patients, columns, pnrCol, hasDays, maxVisits) {
+    let mostVisits = 0;
+    patients.forEach(visits => { mostVisits = Math.max(mostVisits, visits.length); });
+    const visitCount = Math.min(maxVisits, mostVisits);
+    const suffixed = columns.filter(col => col !== pnrCol);
+    const outColumns = [pnrCol, 'visits'].concat(hasDays ? ['follow_up_days'] : [])
+        .concat(suffixed.flatMap(col => Array.from({ length: visitCount }, (_, i) => `${col}_v${i + 1}`)));
+    let truncated = 0;
+    const data = [...patients].map(([pnr, visits]) => {
+        if (visits.length > visitCount) truncated++;
+        const row = { [pnrCol]: pnr, visits: visits.length };
+        if (hasDays) row.follow_up_days = followUpDays(visits);
+        suffixed.forEach(col => visits.slice(0, visitCount).forEach((visit, i) => { row[`${col}_v${i + 1}`] = visit.row[col]; }));
+        return row;
+    });
+    return { data, columns: outColumns, report: { rows: data.length, max_visits: visitCount, patients_truncated: truncated } };
+}
+
+function buildSummary(patients, columns, pnrCol, wanted) {
+    const summarized = [];
+    const missing = [];
+    wanted.forEach(name => {
+        const col = resolveColumn(columns, name);
+        if (col && col !== pnrCol && !summarized.includes(col)) summarized.push(col);
+        else if (!col) missing.push(name);
+    });
+    const outColumns = [pnrCol, 'visits', 'follow_up_days']
+        .concat(summarized.flatMap(col => SUMMARY_STATISTICS.map(statistic => `${col}_${statistic}`)));
+    const data = [...patients].map(([pnr, visits]) => {
+        const row = { [pnrCol]: pnr, visits: visits.length, follow_up_days: followUpDays(visits) };
+        summarized.forEach(col => {
+            const points = visits
+                .map(visit => ({ day: visit.day, value: toNumber(visit.row[col]) }))
+                .filter(point => point.value != null);
+            const values = points.map(point => point.value);
+            row[`${col}_first`] = values.length > 0 ? values[0] : null;
+            row[`${col}_last`] = values.length > 0 ? values[values.length - 1] : null;
+            row[`${col}_min`] = values.length > 0 ? Math.min(...values) : null;
+            row[`${col}_max`] = values.length > 0 ? Math.max(...values) : null;
+            row[`${col}_slope_per_year`] = slopePerYear(points.filter(point => point.day != null));
+        });
+        return row;
+    });
+    return { data, columns: outColumns, report: { rows: data.length, columns: summarized, not_in_output: missing } };
+}
+
+// The requested shapes in order as [{ shape, suffix, data, columns, report }]; suffix goes
+// between the base name and the extension of the shape's files
+export function buildOutputShapes(data, columns, pnrCol, dateCol, dateMode, settings) {
+    const shapes = settings.shapes || ['long'];
+    const patients = shapes.some(shape => shape !== 'long') ? visitsByPatient(data, pnrCol, dateCol, dateMode) : null;
+    return shapes.map(shape => {
+        if (shape === 'long') return { shape, suffix: '', data, columns, report: { rows: data.length } };
+        if (shape === 'wide') {
+            const maxVisits = (settings.wide || {}).max_visits || DEFAULT_MAX_VISITS;
+            return { shape, suffix: '.wide', ...buildWide(patients, columns, pnrCol, DAY_MODES.includes(dateMode), maxVisits) };
+        }
+        return { shape, suffix: '.summary', ...buildSummary(patients, columns, pnrCol, (settings.summary || {}).columns || []) };
+    });
+}
@@ -0,0 +1,53 @@
+// Reading a worksheet into rows keyed by the header row
+import { dedupeHeaders } from './columns.js';
+import { XLSX } from './xlsx.js';
+
+// Normalize column names (trim whitespace, normalize encoding)
+function normalizeColumnName(name) {
+    if (!name) return '';
+    
+    return name
+        .trim()
+        // Remove ALL invisible/zero-width characters
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')  // zero-width space, joiners, BOM
+        .replace(/[\u00A0]/g, ' ')  // non-breaking space to regular space
+        .replace(/\s+/g, ' ')  // collapse multiple spaces
+        .trim();  // trim again after normalization
+}
+
+// Reads columns from the sheet header row directly, not from the first data row:
+// sheet_to_json omits keys for empty cells, and its own names for repeated or
+// empty headers would bypass the mapping checks
+export function readSheet(workbook, sheetName) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet['!ref']) return { columns: [], data: [], rowNumbers: [], duplicates: {} };
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const headerCells = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = sheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+        headerCells.push(cell ? normalizeColumnName(String(cell.v || cell.w || '')) : '');
+    }
+    const { names: header, duplicates } = dedupeHeaders(
+        headerCells.map((name, i) => name || `Column ${XLSX.utils.encode_col(range.s.c + i)}`)
+    );
+    
+    const rows = XLSX.utils.sheet_to_json(sheet, {
+        header,
+        range: range.s.r + 1,
+        raw: false,
+        defval: null,
+        dateNF: 'yyyy-mm-dd'
+    });
+    
+    // Columns without a header are kept under their letter, unless they are empty
+    const isBlank = value => value == null || String(value).trim() === '';
+    const columns = header.filter((col, i) => headerCells[i] || !rows.every(row => isBlank(row[col])));
+    return {
+        columns,
+        // Rows are only rebuilt when a column was left out, as a large sheet has no memory to spare
+        data: columns.length === header.length ? rows : rows.map(row => Object.fromEntries(columns.map(col => [col, row[col]]))),
+        // Sheet row numbers (1-based) for error reports
+        rowNumbers: rows.map(row => row.__rowNum__ + 1),
+        duplicates
+    };
+}
@@ -0,0 +1,413 @@
+// Synthetic echo workbooks for demos and tests: every column of a feature map, patients
+// with several visits and values drawn around plausible echo findings, nothing from a real
+// patient. Messiness seen in real exports can be mixed in on purpose: dates in other
+// formats or with nine digits, decimal commas, renamed or repeated headers and free text
+// naming the patient. The same options and seed give the same workbook.
+import { createRandom } from './random.js';
+import { XLSX } from './xlsx.js';
+
+export const MAX_SYNTH_PATIENTS = 100000;
+export const INDIK_CODES = ['1', '2', '3', '4', '5', '6', '7', '8'];
+
+// Rates are shares of the cells concerned (0-1), headers are counts of columns
+export const SYNTH_DEFAULTS = {
+    patients: 100,
+    visits: [1, 8],
+    seed: 'synthetic',
+    vmax_prevalence: 0.3,       // Patients with aortic stenosis, Vmax >= 2.0 m/s
+    indik_prevalence: {},       // Share of patients per INDIK code; the rest spread over the others
+    messiness: {
+        // Both date kinds fail the date check: the format is detected from the YYYY-MM-DD majority
+        mixed_dates: 0.02,      // DATUM as YYYYMMDD, DD/MM/YYYY or an Excel serial among YYYY-MM-DD
+        nine_digit_dates: 0.01, // YYYYMMDD with a digit typed twice
+        decimal_commas: 0.05,   // Decimal numbers written as text with a comma
+        pnr_in_text: 0.3,       // Övrigt naming the patient, with personnummer and phone number
+        renamed_headers: 2,     // Headers written as an alias, in other case or without accents
+        duplicated_headers: 1   // Columns exported twice under the same header
+    }
+};
+
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_OFFSET = 25569;  // Days from 1899-12-30 to 1970-01-01
+const DAYS_PER_YEAR = 365.25;
+const AS_THRESHOLD = 2.0;
+
+const FEMALE_NAMES = ['Astrid', 'Birgitta', 'Elsa', 'Ingrid', 'Karin', 'Margareta', 'Signe', 'Ulla'];
+const MALE_NAMES = ['Bengt', 'Gunnar', 'Lars', 'Leif', 'Nils', 'Sven', 'Åke', 'Örjan'];
+const LAST_NAMES = ['Bergström', 'Lindqvist', 'Holmberg', 'Sandberg', 'Forsberg', 'Wikström', 'Öberg', 'Nyström'];
+const MONTH_NAMES = ['januari', 'februari', 'mars', 'april', 'maj', 'juni', 'juli', 'augusti', 'september', 'oktober', 'november', 'december'];
+const REMARKS = [
+    'Inget att anmärka', 'Oförändrat jämfört med föregående', 'Svårbedömt, dåliga ekoförhållanden',
+    'Ny kontroll om ett år', 'Lätt förkalkad aortaklaff', ''
+];
+
+// Measurements: [mean, sd, decimals, min, max]. Each patient gets a level of their own and
+// each visit varies around it; Age, Vmax and the aortic gradient follow the patient instead.
+const MEASUREMENTS = {
+    'LÄNGD': [172, 9, 0, 150, 200], VIKT: [80, 15, 1, 45, 140],
+    BTS: [138, 18, 0, 95, 200], BTD: [80, 10, 0, 50, 110], PULS: [70, 12, 0, 45, 120],
+    Sept: [10, 1.8, 0, 6, 18], Bakv: [9.5, 1.5, 0, 6, 16], Diast: [50, 6, 0, 35, 70], Syst: [33, 7, 0, 20, 60],
+    'AV-plan': [13, 2.5, 0, 6, 20], EF: [57, 9, 0, 20, 75], GLS: [-18, 3.5, 1, -26, -6],
+    VK_4k: [85, 12, 0, 60, 120], Volym: [60, 20, 0, 25, 140], HK_parast: [30, 5, 0, 18, 50], HK_4K: [38, 6, 0, 25, 55],
+    TAPSE: [22, 4, 0, 10, 32], AORTA: [32, 4, 0, 22, 45], Aorta_asc: [34, 4, 0, 24, 50],
+    VF_4K: [38, 6, 0, 25, 60], VF_Volym: [55, 20, 0, 20, 130], HF_4K: [38, 6, 0, 25, 55],
+    'E (cm/s)': [75, 20, 0, 35, 140], 'A (cm/s)': [70, 20, 0, 30, 130], E_dec_ms: [200, 45, 0, 120, 350],
+    'VTI (cm)': [20, 4, 1, 10, 32], Medeltryck: [3, 1.5, 1, 0.5, 10],
+    "E' (cm/s)": [8, 2.5, 1, 3, 16], "A' (cm/s)": [9, 2, 1, 4, 15], "S'": [8, 1.8, 1, 4, 14], "E'_lat": [10, 3, 1, 4, 18],
+    'LUNGVEN S/D': [1.3, 0.3, 2, 0.5, 2.5], TRICUSP: [2.5, 0.4, 1, 1.5, 4.2], 'HF-tryck': [30, 8, 0, 15, 70],
+    LVOTVmax: [1.0, 0.2, 2, 0.6, 1.6], 'LVOTI (cm)': [20, 4, 1, 12, 30], 'LVOT Diam': [21, 2, 0, 17, 27],
+    'PULMVmax (m/s)': [0.9, 0.15, 2, 0.5, 1.4], 'PISA (mm)': [5, 2, 0, 1, 14]
+};
+// Findings: [choices, weights], weights left out for equal chances
+const FINDINGS = {
+    'BMA/LÄK': [['AB', 'KL', 'MN', 'ST']], BMA_eko: [['AB', 'KL', 'MN', 'ST']],
+    'Vilo-EKG (när detta finns)': [['SR', 'FF', 'SR, VES', 'SR, vänstergrenblock', 'Pacemakerrytm'], [60, 20, 10, 6, 4]],
+    'Förmaksflimmer': [['Nej', 'Ja'], [80, 20]],
+    EF_typ: [['Visuell', 'Simpson', 'Teichholz'], [50, 40, 10]],
+    'VÄ FÖRM.': [['Normal', 'Lätt dilaterat', 'Måttligt dilaterat'], [70, 20, 10]],
+    'Mitralis Klaffprotes': [['', 'Mekanisk', 'Biologisk'], [94, 3, 3]],
+    'AORTAKlaffprotes': [['', 'Mekanisk', 'Biologisk'], [92, 4, 4]],
+    'Band #': [['', '28', '30', '32'], [94, 2, 2, 2]], Position: [['', 'Mitralis', 'Tricuspidalis'], [94, 4, 2]],
+    VKForm: [['Normal', 'Koncentrisk hypertrofi', 'Excentrisk hypertrofi', 'Koncentrisk remodellering'], [60, 20, 10, 10]],
+    'VKVäggrörlighet': [['Normal', 'Hypokinesi', 'Akinesi'], [75, 18, 7]],
+    'VKGlobal syst (visuell bedömn)': [['Normal', 'Lätt nedsatt', 'Måttligt nedsatt', 'Uttalat nedsatt'], [65, 18, 11, 6]],
+    'Hö kammare': [['Normal', 'Dilaterad'], [85, 15]], 'Hö förmak': [['Normal', 'Dilaterad'], [80, 20]],
+    'Mitr (Främre)': [['Normal', 'Förtjockad', 'Prolaps'], [80, 15, 5]], 'Mitr (Bakre)': [['Normal', 'Förtjockad', 'Prolaps'], [80, 15, 5]],
+    Tricusp: [['Normal', 'Förtjockad'], [90, 10]], Pulm: [['Normal', 'Förtjockad'], [95, 5]],
+    AIINSInt: [['0', '1', '2', '3'], [60, 25, 10, 5]], MIInt: [['0', '1', '2', '3'], [45, 35, 15, 5]],
+    TIInt: [['0', '1', '2', '3'], [50, 35, 12, 3]], PIInt: [['0', '1', '2', '3'], [70, 25, 4, 1]],
+    AIUtbredn: [['', 'Central', 'Excentrisk'], [60, 30, 10]], MIUtbredn: [['', 'Central', 'Excentrisk'], [50, 35, 15]],
+    Utbredn: [['', 'Central', 'Excentrisk'], [50, 40, 10]], PIUtbredn: [['', 'Central', 'Excentrisk'], [70, 25, 5]],
+    'VF storlek': [['Normal', 'Lätt förstorad', 'Måttligt förstorad', 'Kraftigt förstorad'], [55, 25, 14, 6]]
+};
+// Never renamed or repeated, so the workbook still has its patient and date columns
+const KEY_COLUMNS = ['PNR', 'DATUM'];
+// Columns written as text, never given a decimal comma
+const TEXT_COLUMNS = ['NAMN', 'AVD', 'INDIK', 'Övrigt'];
+
+const pad = n => String(n).padStart(2, '0');
+
+function dateParts(day) {
+    const date = new Date(day * MS_PER_DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function formatDate(day, format) {
+    const { year, month, day: d } = dateParts(day);
+    if (format === 'YYYYMMDD') return Number(`${year}${pad(month)}${pad(d)}`);
+    if (format === 'DD/MM/YYYY') return `${pad(d)}/${pad(month)}/${year}`;
+    if (format === 'Excel serial') return day + EXCEL_EPOCH_OFFSET;
+    return `${year}-${pad(month)}-${pad(d)}`;
+}
+
+function pick(random, list, weights) {
+    if (!weights) return list[Math.floor(random() * list.length)];
+    let draw = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    const index = weights.findIndex(weight => (draw -= weight) < 0);
+    return list[index === -1 ? list.length - 1 : index];
+}
+
+function gaussian(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// The check digit of a 10-digit personnummer (Luhn), so the numbers look real to any checker
+function checkDigit(digits) {
+    let sum = 0;
+    [...digits].forEach((digit, i) => {
+        const product = Number(digit) * (i % 2 === 0 ? 2 : 1);
+        sum += product > 9 ? product - 9 : product;
+    });
+    return (10 - sum % 10) % 10;
+}
+
+// YYYYMMDD-NNNC with the third serial digit odd for men and even for women
+function fakePnr(random, birthDay, sex) {
+    const { year, month, day } = dateParts(birthDay);
+    const date = `${year}${pad(month)}${pad(day)}`;
+    const serial = pad(Math.floor(random() * 100)) + String(2 * Math.floor(random() * 5) + (sex === 'M' ? 1 : 0));
+    return `${date}-${serial}${checkDigit(date.slice(2) + serial)}`;
+}
+
+function pnrForms(pnr) {
+    const digits = pnr.replace('-', '');
+    return [pnr, digits, digits.slice(2), pnr.slice(2)];
+}
+
+// Throws on the first option that cannot make a workbook
+export function validateSynthOptions(options) {
+    const { patients, visits, vmax_prevalence: vmax, indik_prevalence: indik, messiness } = options;
+    const isShare = value => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!Number.isInteger(patients) || patients < 1 || patients > MAX_SYNTH_PATIENTS) {
+        throw new Error(`The number of patients must be a whole number from 1 to ${MAX_SYNTH_PATIENTS}`);
+    }
+    if (!Array.isArray(visits) || visits.length !== 2 || !visits.every(Number.isInteger) || visits[0] < 1 || visits[1] < visits[0]) {
+        throw new Error('Visits per patient must be two whole numbers, at least 1 and the first no larger than the second');
+    }
+    if (!isShare(vmax)) throw new Error('The Vmax prevalence must be a share from 0 to 1');
+    const indikShares = Object.values(indik || {});
+    if (!indikShares.every(isShare) || indikShares.reduce((sum, share) => sum + share, 0) > 1 + 1e-9) {
+        throw new Error('The INDIK prevalences must be shares from 0 to 1 adding up to at most 1');
+    }
+    ['mixed_dates', 'nine_digit_dates', 'decimal_commas', 'pnr_in_text'].forEach(key => {
+        if (!isShare(messiness[key])) throw new Error(`messiness.${key} must be a share from 0 to 1`);
+    });
+    if (messiness.mixed_dates + messiness.nine_digit_dates > 1) {
+        throw new Error('messiness.mixed_dates and messiness.nine_digit_dates add up to more than 1');
+    }
+    ['renamed_headers', 'duplicated_headers'].forEach(key => {
+        if (!Number.isInteger(messiness[key]) || messiness[key] < 0) throw new Error(`messiness.${key} must be a whole number of columns`);
+    });
+}
+
+export function resolveSynthOptions(options = {}) {
+    return {
+        ...SYNTH_DEFAULTS,
+        ...options,
+        messiness: { ...SYNTH_DEFAULTS.messiness, ...options.messiness }
+    };
+}
+
+// INDIK codes by the given shares, the codes without one sharing what is left equally
+function indikWeights(prevalence) {
+    const named = Object.entries(prevalence).filter(([, share]) => share > 0);
+    const left = 1 - named.reduce((sum, [, share]) => sum + share, 0);
+    const others = INDIK_CODES.filter(code => !(code in prevalence));
+    const codes = named.map(([code]) => code).concat(others);
+    return { codes, weights: named.map(([, share]) => share).concat(others.map(() => (others.length > 0 ? left / others.length : 0))) };
+}
+
+function generatePatients(random, options) {
+    const [minVisits, maxVisits] = options.visits;
+    const indik = indikWeights(options.indik_prevalence || {});
+    const start = Date.UTC(2010, 0, 1) / MS_PER_DAY;
+    const taken = new Set();
+    const patients = [];
+    for (let p = 0; p < options.patients; p++) {
+        const sex = random() < 0.5 ? 'K' : 'M';
+        const firstDay = start + Math.floor(random() * 12 * 365);
+        const age = Math.round(clamp(68 + 12 * gaussian(random), 25, 95));
+        const birthDay = firstDay - Math.floor((age + random()) * DAYS_PER_YEAR);
+        let pnr;
+        do pnr = fakePnr(random, birthDay, sex); while (taken.has(pnr));
+        taken.add(pnr);
+
+        const days = [firstDay];
+        const visits = minVisits + Math.floor(random() * (maxVisits - minVisits + 1));
+        while (days.length < visits) days.push(days[days.length - 1] + 60 + Math.floor(random() * 480));
+        const stenosis = random() < options.vmax_prevalence;
+        patients.push({
+            pnr,
+            sex,
+            name: `${pick(random, sex === 'K' ? FEMALE_NAMES : MALE_NAMES)} ${pick(random, LAST_NAMES)}`,
+            age,
+            birthDay,
+            ward: `Avd ${1 + Math.floor(random() * 6)}`,
+            indik: pick(random, indik.codes, indik.weights),
+            stenosis,
+            // Vmax at the first visit and its change per year
+            vmax: stenosis ? 2.0 + random() * 2.0 : 1.0 + random() * 0.8,
+            vmaxPerYear: stenosis ? 0.1 + random() * 0.25 : random() * 0.05,
+            levels: {},
+            findings: {},
+            days
+        });
+    }
+    return patients;
+}
+
+function measurement(random, patient, col) {
+    const [mean, sd, decimals, min, max] = MEASUREMENTS[col];
+    if (!(col in patient.levels)) patient.levels[col] = mean + 0.8 * sd * gaussian(random);
+    return round(clamp(patient.levels[col] + 0.35 * sd * gaussian(random), min, max), decimals);
+}
+
+// Findings mostly stay as they were at the last visit
+function finding(random, patient, col) {
+    const [choices, weights] = FINDINGS[col];
+    if (!(col in patient.findings) || random() < 0.15) patient.findings[col] = pick(random, choices, weights);
+    return patient.findings[col];
+}
+
+function freeText(random, patient, day, withPnr, report) {
+    if (!withPnr) return pick(random, REMARKS);
+    report.pnr_in_text++;
+    const earlier = dateParts(day - 90 - Math.floor(random() * 300));
+    const phone = `070-${100 + Math.floor(random() * 900)} ${pad(Math.floor(random() * 100))} ${pad(Math.floor(random() * 100))}`;
+    return `Pat ${patient.name}, ${pick(random, pnrForms(patient.pnr))}, tel ${phone}. ` +
+        `Senast undersökt ${earlier.day} ${MONTH_NAMES[earlier.month - 1]} ${earlier.year}. ${pick(random, REMARKS)}`.trim();
+}
+
+function visitValue(random, patient, col, day, visit) {
+    const years = (day - patient.days[0]) / DAYS_PER_YEAR;
+    switch (col) {
+        case 'NAMN': return patient.name;
+        case 'AVD': return patient.ward;
+        case 'Age': return Math.floor((day - patient.birthDay) / DAYS_PER_YEAR);
+        case 'Sex': return patient.sex;
+        case 'INDIK': return patient.indik;
+        case 'Vmax (m/s)': return visit.vmax;
+        // Mean gradient and VTI over the aortic valve follow Vmax
+        case 'Medeltryck (mmHg)': return Math.round(2.4 * visit.vmax ** 2 + gaussian(random));
+        case 'VTI (cm).1': return round(clamp(24 * visit.vmax + 2 * gaussian(random), 15, 120), 1);
+        case 'Aorta': return patient.stenosis ? pick(random, ['Förtjockad', 'Förkalkad'], [40, 60]) : 'Normal';
+        case 'EF': return round(clamp(measurement(random, patient, col) - (patient.stenosis ? years : 0), 15, 80), 0);
+        default:
+            if (col in MEASUREMENTS) return measurement(random, patient, col);
+            if (col in FINDINGS) return finding(random, patient, col);
+            return round(random() * 100, 1);
+    }
+}
+
+function dateCell(random, day, messiness, report) {
+    const draw = random();
+    if (draw < messiness.nine_digit_dates) {
+        report.nine_digit_dates++;
+        const digits = String(formatDate(day, 'YYYYMMDD'));
+        const at = 4 + Math.floor(random() * 4);
+        return Number(digits.slice(0, at + 1) + digits.slice(at));
+    }
+    if (draw < messiness.nine_digit_dates + messiness.mixed_dates) {
+        report.mixed_dates++;
+        return formatDate(day, pick(random, ['YYYYMMDD', 'DD/MM/YYYY', 'Excel serial']));
+    }
+    return formatDate(day, 'YYYY-MM-DD');
+}
+
+// Other ways a header is written in exports: its aliases, another case, without accents or
+// with spaces and underscores swapped. Never the name of another column, in any case.
+function headerVariants(header, aliases, headers) {
+    const taken = new Set(headers.map(other => other.toLowerCase()));
+    const variants = (aliases[header] || []).concat([
+        header.toLowerCase(),
+        header.toUpperCase(),
+        header.normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+        header.replace(/[ _]/g, char => (char === ' ' ? '_' : ' '))
+    ]);
+    return [...new Set(variants)].filter(variant => variant !== header &&
+        (variant.toLowerCase() === header.toLowerCase() || !taken.has(variant.toLowerCase())));
+}
+
+function shuffled(random, list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// One row per visit as arrays in header order; headers are written as in the source
+// exports, so "VTI (cm).1" is a second "VTI (cm)". Returns { header, rows, report }, the
+// report counting what was generated and injected.
+export function generateSyntheticData(featureMap, options = {}) {
+    const settings = resolveSynthOptions(options);
+    validateSynthOptions(settings);
+    const { messiness } = settings;
+    const random = createRandom(`synthetic:${settings.seed}`);
+    const columns = Object.keys(featureMap).filter(col => !col.startsWith('_'));
+    const report = {
+        seed: settings.seed,
+        patients: settings.patients,
+        rows: 0,
+        vmax_patients: 0,
+        mixed_dates: 0,
+        nine_digit_dates: 0,
+        decimal_commas: 0,
+        pnr_in_text: 0,
+        renamed_headers: {},
+        duplicated_headers: []
+    };
+
+    const patients = generatePatients(random, settings);
+    const rows = [];
+    patients.forEach(patient => {
+        if (patient.stenosis) report.vmax_patients++;
+        patient.days.forEach(day => {
+            const years = (day - patient.days[0]) / DAYS_PER_YEAR;
+            const vmax = patient.vmax + patient.vmaxPerYear * years + 0.08 * gaussian(random);
+            const visit = { vmax: round(patient.stenosis ? Math.max(AS_THRESHOLD, vmax) : Math.min(AS_THRESHOLD - 0.05, vmax), 2) };
+            const row = columns.map(col => {
+                if (col === 'PNR') return patient.pnr;
+                if (col === 'DATUM') return dateCell(random, day, messiness, report);
+                if (col === 'Övrigt') return freeText(random, patient, day, random() < messiness.pnr_in_text, report);
+                const value = visitValue(random, patient, col, day, visit);
+                if (typeof value === 'number' && !Number.isInteger(value) && !TEXT_COLUMNS.includes(col) &&
+                    random() < messiness.decimal_commas) {
+                    report.decimal_commas++;
+                    return String(value).replace('.', ',');
+                }
+                return value;
+            });
+            // Blood pressure stays a pressure difference apart
+            const bts = columns.indexOf('BTS');
+            const btd = columns.indexOf('BTD');
+            if (bts !== -1 && btd !== -1 && typeof row[bts] === 'number' && typeof row[btd] === 'number') {
+                row[btd] = Math.min(row[btd], row[bts] - 20);
+            }
+            rows.push(row);
+        });
+    });
+    report.rows = rows.length;
+
+    let header = columns.map(col => col.replace(/\.\d+$/, ''));
+    const aliases = (featureMap._config || {}).aliases || {};
+    // Headers already written twice are left alone, so the second still follows the first
+    const candidates = shuffled(random, columns.filter((col, index) => !KEY_COLUMNS.includes(col) &&
+        header.filter(other => other === header[index]).length === 1));
+    let renamed = 0;
+    for (const col of candidates) {
+        if (renamed === messiness.renamed_headers) break;
+        const index = columns.indexOf(col);
+        const variants = headerVariants(header[index], aliases, header);
+        if (variants.length === 0) continue;
+        header[index] = pick(random, variants);
+        report.renamed_headers[col] = header[index];
+        renamed++;
+    }
+    // A repeated column goes right after the first and holds the same values
+    const repeated = candidates.filter(col => !(col in report.renamed_headers)).slice(0, messiness.duplicated_headers);
+    const order = columns.map((col, index) => index);
+    repeated.forEach(col => {
+        const index = columns.indexOf(col);
+        order.splice(order.indexOf(index) + 1, 0, index);
+        report.duplicated_headers.push(header[index]);
+    });
+    header = order.map(index => header[index]);
+    return { header, rows: rows.map(row => order.map(index => row[index])), report };
+}
+
+// { name, data, report } with the workbook as XLSX bytes
+export function syntheticWorkbook(featureMap, options = {}) {
+    const { header, rows, report } = generateSyntheticData(featureMap, options);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header].concat(rows)), 'Synthetic');
+    return {
+        name: `synthetic_${report.patients}_patients.xlsx`,
+        data: new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array', compression: true })),
+        report
+    };
+}
+
+// The report as lines for the page and the command line
+export function describeSyntheticData(report) {
+    const lines = [
+        `${report.patients} patients, ${report.rows} visits, ${report.vmax_patients} with Vmax >= ${AS_THRESHOLD.toFixed(1)} m/s (seed ${report.seed})`
+    ];
+    const injected = [
+        [report.mixed_dates, 'dates in another format'],
+        [report.nine_digit_dates, 'nine-digit dates'],
+        [report.decimal_commas, 'decimal commas'],
+        [report.pnr_in_text, 'Övrigt cells naming the patient']
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+    if (injected.length > 0) lines.push(`Injected: ${injected.join(', ')}`);
+    const unreadable = report.mixed_dates + report.nine_digit_dates;
+    if (unreadable > 0) lines.push(`${unreadable} dates are meant to fail the date check (dates.on_error)`);
+    const renamed = Object.entries(report.renamed_headers).map(([col, header]) => `${col} as "${header}"`);
+    if (renamed.length > 0) lines.push(`Renamed headers: ${renamed.join(', ')}`);
+    if (report.duplicated_headers.length > 0) lines.push(`Repeated headers: ${report.duplicated_headers.join(', ')}`);
+    return lines;
+}
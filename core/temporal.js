@@ -0,0 +1,98 @@
+// Replacements for DATUM, chosen by the "mode" of its FEATURE_MAP entry
+import { findColumnCaseInsensitive } from './columns.js';
+import { formatEpochDay, parseDateValue } from './dates.js';
+import { compileCohortStep, describeCohortStep } from './filters.js';
+
+const DEFAULT_SHIFT_DAYS = 30;
+
+const TEMPORAL_MODES = ['days_since_first', 'visit_number', 'shift', 'year', 'year_month', 'days_since_index'];
+
+// "keep" on DATUM means the default mode; real dates are never exported
+export function temporalSpec(action) {
+    const spec = action && typeof action === 'object' && !Array.isArray(action) ? action : {};
+    const mode = spec.mode || 'days_since_first';
+    if (!TEMPORAL_MODES.includes(mode)) {
+        throw new Error(`Unknown DATUM mode "${mode}". Use one of: ${TEMPORAL_MODES.join(', ')}`);
+    }
+    if (mode === 'days_since_index' && !spec.index) {
+        throw new Error('DATUM mode "days_since_index" needs an "index" condition');
+    }
+    return { ...spec, mode };
+}
+
+export function describeTemporalSpec(spec) {
+    switch (spec.mode) {
+        case 'days_since_first': return "days since the patient's first visit";
+        case 'visit_number': return 'visit number (1, 2, 3...)';
+        case 'shift': return `dates shifted by a random offset of up to ±${spec.max_days || DEFAULT_SHIFT_DAYS} days per patient`;
+        case 'year': return 'year only';
+        case 'year_month': return 'year and month only';
+        case 'days_since_index': return `days since the first visit with ${describeCohortStep({ match: 'any', ...spec.index })}`;
+        default: return spec.mode;
+    }
+}
+
+// Row indexes per patient, in date order; rows with unparsed dates are left out
+function visitsByPatient(data, pnrCol, days) {
+    const visits = new Map();
+    data.forEach((row, idx) => {
+        if (days[idx] === null) return;
+        const pnr = row[pnrCol];
+        if (!visits.has(pnr)) visits.set(pnr, []);
+        visits.get(pnr).push(idx);
+    });
+    visits.forEach(indexes => indexes.sort((a, b) => days[a] - days[b] || a - b));
+    return visits;
+}
+
+// Rewrites DATUM in place; unparsed dates stay empty. Returns { mode, description, withoutIndex }.
+export function anonymizeDates(data, columns, format, action, ctx) {
+    const pnrCol = findColumnCaseInsensitive(columns, 'pnr');
+    const dateCol = findColumnCaseInsensitive(columns, 'Datum');
+
+    if (!pnrCol || !dateCol) {
+        throw new Error('PNR or date column not found');
+    }
+
+    const spec = temporalSpec(action);
+    const days = data.map(row => parseDateValue(row[dateCol], format));
+    const visits = visitsByPatient(data, pnrCol, days);
+    const output = new Array(data.length).fill(null);
+    let withoutIndex = 0;
+
+    if (spec.mode === 'year' || spec.mode === 'year_month') {
+        const length = spec.mode === 'year' ? 4 : 7;
+        days.forEach((day, idx) => {
+            if (day !== null) output[idx] = formatEpochDay(day).substring(0, length);
+        });
+    } else if (spec.mode === 'days_since_index') {
+        const isIndex = compileCohortStep({ match: 'any', ...spec.index }, columns).predicate;
+        visits.forEach(indexes => {
+            const first = indexes.find(idx => isIndex([data[idx]]));
+            if (first === undefined) {
+                withoutIndex++;
+                return;
+            }
+            indexes.forEach(idx => { output[idx] = days[idx] - days[first]; });
+        });
+    } else {
+        const maxShift = Math.floor(Number(spec.max_days) || DEFAULT_SHIFT_DAYS);
+        visits.forEach(indexes => {
+            if (spec.mode === 'visit_number') {
+                indexes.forEach((idx, i) => { output[idx] = i + 1; });
+            } else if (spec.mode === 'shift') {
+                // One offset per patient keeps the intervals and roughly the season. It is
+                // never 0, which would export the real dates.
+                let offset = Math.floor(ctx.random() * 2 * maxShift) - maxShift;
+                if (offset >= 0) offset++;
+                indexes.forEach(idx => { output[idx] = formatEpochDay(days[idx] + offset); });
+            } else {
+                const firstDay = days[indexes[0]];
+                indexes.forEach(idx => { output[idx] = days[idx] - firstDay; });
+            }
+        });
+    }
+
+    data.forEach((row, idx) => { row[dateCol] = output[idx]; });
+    return { mode: spec.mode, description: describeTemporalSpec(spec), withoutIndex };
+}
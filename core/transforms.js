@@ -0,0 +1,233 @@
+// Column transforms selected by FEATURE_MAP actions
+import { resolveColumn } from './columns.js';
+import { applyNoise, describeNoise, validateNoiseSpec } from './noise.js';
+
+// Actions handled outside the registry: "rm" by removeColumns, "scrub" by scrubFreeText,
+// "temporal" (DATUM only) by anonymizeDates
+const PASSIVE_ACTIONS = ['keep', 'rm', 'scrub', 'temporal'];
+// Transforms that only change values they can read as numbers
+const NUMERIC_TRANSFORMS = ['noise', 'bin', 'topcode', 'bottomcode', 'round'];
+
+export function normalizeAction(action) {
+    if (Array.isArray(action)) {
+        return action.map(step => {
+            const spec = normalizeAction(step);
+            if (Array.isArray(spec)) throw new Error('Nested action lists are not supported');
+            return spec;
+        });
+    }
+    if (typeof action === 'number') return { type: 'noise', amplitude: action };
+    if (typeof action === 'string') return { type: action };
+    if (action && typeof action === 'object' && typeof action.type === 'string') return action;
+    throw new Error(`Invalid action: ${JSON.stringify(action)}`);
+}
+
+// The type of a single action, or of the first step in a chain
+export function actionType(action) {
+    const spec = normalizeAction(action);
+    return Array.isArray(spec) ? (spec[0] && spec[0].type) : spec.type;
+}
+
+// True when any step of the action works on numbers
+export function isNumericAction(action) {
+    const spec = normalizeAction(action);
+    return (Array.isArray(spec) ? spec : [spec]).some(step => NUMERIC_TRANSFORMS.includes(step.type));
+}
+
+export function isNumeric(value) {
+    return !isNaN(parseFloat(value)) && isFinite(value);
+}
+
+export function toNumber(value) {
+    if (value == null || value === '' || !isNumeric(value)) return null;
+    return parseFloat(value);
+}
+
+function roundToStep(value, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+function formatBound(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+function quantileEdges(numbers, count) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const edges = [];
+    for (let i = 0; i <= count; i++) {
+        const index = Math.min(sorted.length - 1, Math.floor((i / count) * (sorted.length - 1)));
+        edges.push(sorted[index]);
+    }
+    return [...new Set(edges)];
+}
+
+function binLabelForEdges(value, edges) {
+    for (let i = 0; i < edges.length - 1; i++) {
+        const last = i === edges.length - 2;
+        if (value >= edges[i] && (value < edges[i + 1] || (last && value <= edges[i + 1]))) {
+            return `[${formatBound(edges[i])}, ${formatBound(edges[i + 1])}${last ? ']' : ')'}`;
+        }
+    }
+    return null;
+}
+
+const TRANSFORMS = {
+    // Uniform, Gaussian, relative or Laplace noise, see core/noise.js
+    noise(values, spec, ctx) {
+        return applyNoise(values, spec, ctx);
+    },
+
+    // Fixed-width bands ({ width, origin }), explicit { edges } or { quantiles: n } bands,
+    // with optional top/bottom coding
+    bin(values, spec) {
+        const numbers = values.map(toNumber);
+        const present = numbers.filter(num => num !== null);
+        const allIntegers = present.every(Number.isInteger);
+
+        let edges = null;
+        if (spec.quantiles) {
+            edges = quantileEdges(present, Number(spec.quantiles));
+        } else if (Array.isArray(spec.edges)) {
+            edges = [...spec.edges].sort((a, b) => a - b);
+        } else if (!(Number(spec.width) > 0)) {
+            throw new Error('bin needs a positive "width", "edges" or "quantiles"');
+        }
+
+        const width = Number(spec.width);
+        const origin = Number(spec.origin) || 0;
+        return values.map((value, i) => {
+            const num = numbers[i];
+            if (num === null) return value;
+            if (spec.top != null && num >= spec.top) return `${spec.top}+`;
+            if (spec.bottom != null && num < spec.bottom) return `<${spec.bottom}`;
+            if (edges) return binLabelForEdges(num, edges) || value;
+
+            const lower = origin + Math.floor((num - origin) / width) * width;
+            if (allIntegers && Number.isInteger(width)) {
+                return `${lower}-${lower + width - 1}`;
+            }
+            return `[${formatBound(lower)}, ${formatBound(lower + width)})`;
+        });
+    },
+
+    topcode(values, spec) {
+        return values.map(value => {
+            const num = toNumber(value);
+            return num !== null && num >= spec.top ? `${spec.top}+` : value;
+        });
+    },
+
+    bottomcode(values, spec) {
+        return values.map(value => {
+            const num = toNumber(value);
+            return num !== null && num < spec.bottom ? `<${spec.bottom}` : value;
+        });
+    },
+
+    round(values, spec) {
+        const step = Number(spec.step);
+        if (!(step > 0)) throw new Error('round needs a positive "step"');
+        return values.map(value => {
+            const num = toNumber(value);
+            return num === null ? value : roundToStep(num, step);
+        });
+    },
+
+    // Lookup table; unlisted values are kept unless "default" gives a replacement
+    recode(values, spec) {
+        const map = spec.map || {};
+        const lowerMap = Object.fromEntries(Object.entries(map).map(([from, to]) => [from.toLowerCase(), to]));
+        return values.map(value => {
+            if (value == null || String(value).trim() === '') return value;
+            const text = String(value).trim();
+            if (Object.prototype.hasOwnProperty.call(map, text)) return map[text];
+            if (Object.prototype.hasOwnProperty.call(lowerMap, text.toLowerCase())) return lowerMap[text.toLowerCase()];
+            return spec.default !== undefined ? spec.default : value;
+        });
+    }
+};
+
+export function describeAction(action) {
+    const spec = normalizeAction(action);
+    if (Array.isArray(spec)) return spec.map(describeAction).join(' → ');
+
+    switch (spec.type) {
+        case 'noise': return describeNoise(spec);
+        case 'bin': {
+            let text = spec.quantiles ? `${spec.quantiles} quantile bands`
+                : spec.edges ? `bands at ${spec.edges.join(', ')}`
+                : `bands of ${spec.width}`;
+            if (spec.top != null) text += `, top-coded at ${spec.top}`;
+            if (spec.bottom != null) text += `, bottom-coded at ${spec.bottom}`;
+            return text;
+        }
+        case 'topcode': return `top-coded at ${spec.top}`;
+        case 'bottomcode': return `bottom-coded at ${spec.bottom}`;
+        case 'round': return `rounded to ${spec.step}`;
+        case 'recode': return `recoded (${Object.keys(spec.map || {}).length} values)`;
+        default: return spec.type;
+    }
+}
+
+// Throws on the first action the registry does not know
+// PNR and DATUM are always replaced, by pseudonyms and by the DATUM mode, so no other
+// action would be honoured for them
+const FIXED_ACTIONS = {
+    pnr: { types: ['keep'], reason: 'is always replaced by a keyed pseudonym; its action must be "keep"' },
+    datum: { types: ['keep', 'temporal'], reason: 'is always replaced as its "mode" says; its action must be "keep" or "temporal"' }
+};
+
+export function validateFeatureMap(featureMap) {
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_')) continue;
+        const spec = normalizeAction(action);
+        const steps = Array.isArray(spec) ? spec : [spec];
+        const fixed = FIXED_ACTIONS[mapCol.toLowerCase()];
+        if (fixed && (steps.length !== 1 || !fixed.types.includes(steps[0].type))) {
+            throw new Error(`${mapCol} ${fixed.reason}`);
+        }
+        for (const step of steps) {
+            if (!PASSIVE_ACTIONS.includes(step.type) && !TRANSFORMS[step.type]) {
+                throw new Error(`Unknown action type "${step.type}" for column ${mapCol}`);
+            }
+            if (step.type === 'noise') {
+                try {
+                    validateNoiseSpec(step);
+                } catch (e) {
+                    throw new Error(`${e.message} (column ${mapCol})`);
+                }
+            }
+        }
+    }
+}
+
+// Applies every value transform in place; returns { column: { action, modified } }
+export function applyTransforms(data, columns, featureMap, ctx) {
+    const report = {};
+
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_')) continue;
+        const spec = normalizeAction(action);
+        const steps = (Array.isArray(spec) ? spec : [spec]).filter(step => !PASSIVE_ACTIONS.includes(step.type));
+        if (steps.length === 0) continue;
+
+        const actualCol = resolveColumn(columns, mapCol);
+        if (!actualCol) continue;
+
+        const original = data.map(row => row[actualCol]);
+        let values = original;
+        for (const step of steps) {
+            values = TRANSFORMS[step.type](values, step, ctx);
+        }
+
+        let modified = 0;
+        data.forEach((row, i) => {
+            if (values[i] !== original[i]) modified++;
+            row[actualCol] = values[i];
+        });
+        report[actualCol] = { action: describeAction(action), modified };
+    }
+
+    return report;
+}
@@ -0,0 +1,134 @@
+// Utility report: how far the anonymized numbers are from the originals
+import { resolveColumn } from './columns.js';
+import { describeAction, toNumber } from './transforms.js';
+
+const UTILITY_HISTOGRAM_BINS = 20;
+const DEFAULT_KEY_COLUMNS = ['EF', 'GLS', 'Vmax (m/s)', 'TAPSE'];
+
+function numericValues(rows, col) {
+    return rows.map(row => toNumber(row[col]));
+}
+
+function quantileSorted(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+function summarize(values) {
+    const present = values.filter(value => value !== null);
+    if (present.length === 0) return null;
+    const sorted = [...present].sort((a, b) => a - b);
+    const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+    const variance = present.length > 1
+        ? present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1)
+        : 0;
+    const q1 = quantileSorted(sorted, 0.25);
+    const q3 = quantileSorted(sorted, 0.75);
+    return {
+        n: present.length,
+        mean,
+        sd: Math.sqrt(variance),
+        median: quantileSorted(sorted, 0.5),
+        q1,
+        q3,
+        iqr: q3 - q1,
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Shared bins, so the two histograms can be drawn on top of each other
+function overlayHistogram(before, after, binCount = UTILITY_HISTOGRAM_BINS) {
+    const all = [...before, ...after].filter(value => value !== null);
+    if (all.length === 0) return null;
+    const min = all.reduce((a, b) => Math.min(a, b));
+    const max = all.reduce((a, b) => Math.max(a, b));
+    const width = (max - min) / binCount || 1;
+    const count = values => {
+        const bins = new Array(binCount).fill(0);
+        values.forEach(value => {
+            if (value === null) return;
+            bins[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+        });
+        return bins;
+    };
+    return { min, max, before: count(before), after: count(after) };
+}
+
+function pearson(xs, ys) {
+    const pairs = [];
+    xs.forEach((x, i) => {
+        if (x !== null && ys[i] !== null) pairs.push([x, ys[i]]);
+    });
+    if (pairs.length < 3) return null;
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+    let sxy = 0, sxx = 0, syy = 0;
+    pairs.forEach(([x, y]) => {
+        sxy += (x - meanX) * (y - meanY);
+        sxx += (x - meanX) ** 2;
+        syy += (y - meanY) ** 2;
+    });
+    return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+function correlationMatrix(rows, cols) {
+    const values = cols.map(col => numericValues(rows, col));
+    return values.map((xs, i) => values.map((ys, j) => (i === j ? 1 : pearson(xs, ys))));
+}
+
+// Columns mapped in FEATURE_MAP, present in the output and mostly numeric in the input
+function utilityColumns(original, finalColumns, columns, featureMap) {
+    const result = [];
+    for (const mapCol of Object.keys(featureMap)) {
+        if (mapCol.startsWith('_') || ['pnr', 'datum'].includes(mapCol.toLowerCase())) continue;
+        const col = resolveColumn(columns, mapCol);
+        if (!col || !finalColumns.includes(col) || result.some(entry => entry.col === col)) continue;
+        const filled = original.filter(row => row[col] != null && String(row[col]).trim() !== '');
+        const numeric = filled.filter(row => toNumber(row[col]) !== null).length;
+        if (filled.length > 0 && numeric / filled.length >= 0.5) result.push({ col, mapCol });
+    }
+    return result;
+}
+
+// original and anonymized are the same rows in the same order, before and after anonymization
+export function computeUtilityReport(original, anonymized, columns, featureMap) {
+    const finalColumns = anonymized.length > 0 ? Object.keys(anonymized[0]) : [];
+    const cols = utilityColumns(original, finalColumns, columns, featureMap);
+
+    const columnReports = cols.map(({ col, mapCol }) => {
+        const before = numericValues(original, col);
+        const after = numericValues(anonymized, col);
+        let maxAbsChange = null;
+        before.forEach((value, i) => {
+            if (value === null || after[i] === null) return;
+            const change = Math.abs(after[i] - value);
+            if (maxAbsChange === null || change > maxAbsChange) maxAbsChange = change;
+        });
+        return {
+            column: col,
+            action: describeAction(featureMap[mapCol]),
+            before: summarize(before),
+            after: summarize(after),
+            maxAbsChange,
+            histogram: overlayHistogram(before, after)
+        };
+    });
+
+    const keyNames = ((featureMap._config || {}).utility || {}).key_columns || DEFAULT_KEY_COLUMNS;
+    const keyColumns = keyNames.map(name => resolveColumn(finalColumns, name)).filter(Boolean);
+    const before = correlationMatrix(original, keyColumns);
+    const after = correlationMatrix(anonymized, keyColumns);
+    const drift = before.map((row, i) => row.map((value, j) =>
+        value === null || after[i][j] === null ? null : after[i][j] - value
+    ));
+    const maxDrift = drift.flat().reduce((max, value) => (value === null ? max : Math.max(max, Math.abs(value))), 0);
+
+    return {
+        rows: original.length,
+        columns: columnReports,
+        correlations: { columns: keyColumns, before, after, drift, maxDrift }
+    };
+}
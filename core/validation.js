@@ -0,0 +1,210 @@
+// Plausibility rules from FEATURE_MAP._config.validation, checked on the input before
+// anything is anonymized. Units and decimal commas are read on the way; values that
+// break a rule are reported and then coerced, blanked, dropped with their row or refused.
+import { resolveColumn } from './columns.js';
+import { isNumeric, isNumericAction } from './transforms.js';
+
+const RULE_TYPES = ['number', 'integer', 'category'];
+export const VALIDATION_ACTIONS = ['coerce', 'blank', 'drop', 'abort'];
+
+// What coercing does to each kind of problem
+const PROBLEMS = {
+    unreadable: { label: 'not a number', coerce: 'blanked' },
+    below_min: { label: 'below the minimum', coerce: 'set to the minimum' },
+    above_max: { label: 'above the maximum', coerce: 'set to the maximum' },
+    not_integer: { label: 'not a whole number', coerce: 'rounded' },
+    not_allowed: { label: 'not an allowed value', coerce: 'matched ignoring case, otherwise blanked' }
+};
+
+const MAX_EXAMPLES = 5;
+const DECIMAL_COMMA = /^[-+]?\d*,\d+$/;
+
+export function describeRule(rule) {
+    if (rule.type === 'category') return `one of ${rule.values.join(', ')}`;
+    const parts = [rule.type === 'integer' ? 'whole number' : 'number'];
+    if (rule.min != null && rule.max != null) parts.push(`${rule.min}–${rule.max}`);
+    else if (rule.min != null) parts.push(`>= ${rule.min}`);
+    else if (rule.max != null) parts.push(`<= ${rule.max}`);
+    if (rule.unit) parts.push(rule.unit);
+    return parts.join(' ');
+}
+
+// Throws one error listing every rule it cannot use
+export function validateValidationSettings(settings) {
+    const errors = [];
+    if (settings.on_violation != null && settings.on_violation !== 'ask' && !VALIDATION_ACTIONS.includes(settings.on_violation)) {
+        errors.push(`on_violation must be one of ${['ask'].concat(VALIDATION_ACTIONS).map(action => `"${action}"`).join(', ')}`);
+    }
+    for (const [col, rule] of Object.entries(settings.rules || {})) {
+        if (!rule || !RULE_TYPES.includes(rule.type)) {
+            errors.push(`${col}: type must be ${RULE_TYPES.join(', ')}`);
+            continue;
+        }
+        if (rule.type === 'category' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+            errors.push(`${col}: a category rule needs a list of "values"`);
+        }
+        if (rule.type !== 'category') {
+            ['min', 'max'].forEach(key => {
+                if (rule[key] != null && typeof rule[key] !== 'number') errors.push(`${col}: ${key} must be a number`);
+            });
+            if (rule.min != null && rule.max != null && rule.min > rule.max) errors.push(`${col}: min is above max`);
+        }
+        if (rule.on_violation != null && !VALIDATION_ACTIONS.includes(rule.on_violation)) {
+            errors.push(`${col}: on_violation must be ${VALIDATION_ACTIONS.join(', ')}`);
+        }
+    }
+    if (errors.length > 0) throw new Error(`Invalid validation rules: ${errors.join('; ')}`);
+}
+
+// { value } for a readable number, with "unit" or "decimal_comma" set when that is how it was read
+function readNumber(value, rule, decimalComma) {
+    if (typeof value === 'number') return Number.isFinite(value) ? { value } : null;
+    let text = String(value).trim();
+    let unit = false;
+    if (rule.unit && text.toLowerCase().endsWith(rule.unit.toLowerCase())) {
+        text = text.slice(0, -rule.unit.length).trim();
+        unit = true;
+    }
+    if (isNumeric(text)) return { value: parseFloat(text), unit };
+    if (decimalComma && DECIMAL_COMMA.test(text)) return { value: parseFloat(text.replace(',', '.')), unit, decimal_comma: true };
+    return null;
+}
+
+function checkNumber(value, rule, decimalComma) {
+    const read = readNumber(value, rule, decimalComma);
+    if (!read) return { problem: 'unreadable', coerced: null };
+    const number = read.value;
+    const normalized = read.unit || read.decimal_comma ? String(number) : undefined;
+    if (rule.min != null && number < rule.min) return { problem: 'below_min', coerced: String(rule.min), read };
+    if (rule.max != null && number > rule.max) return { problem: 'above_max', coerced: String(rule.max), read };
+    if (rule.type === 'integer' && !Number.isInteger(number)) return { problem: 'not_integer', coerced: String(Math.round(number)), read };
+    return { problem: null, normalized, read };
+}
+
+function checkCategory(value, rule) {
+    const text = String(value).trim();
+    const allowed = rule.values.map(String);
+    if (allowed.includes(text)) return { problem: null };
+    const lower = text.toLowerCase();
+    const match = allowed.find(candidate => candidate.toLowerCase() === lower ||
+        (isNumeric(candidate) && isNumeric(text) && parseFloat(candidate) === parseFloat(text)));
+    return { problem: 'not_allowed', coerced: match != null ? match : null };
+}
+
+// The action each rule with problems gets from the settings; "ask" where the user decides
+export function resolveValidationActions(check, settings) {
+    return Object.fromEntries(check.rules.filter(rule => rule.violations > 0)
+        .map(rule => [rule.column, rule.on_violation || settings.on_violation || 'ask']));
+}
+
+// The rules with problems as the page shows them: the first maxRows sheet rows of each
+// problem and not the cells to change
+export function describeViolations(check, maxRows = 20) {
+    return check.rules.filter(rule => rule.violations > 0).map(({ cells, problems, ...rule }) => ({
+        ...rule,
+        problems: Object.fromEntries(Object.entries(problems)
+            .map(([kind, problem]) => [kind, { ...problem, rows: problem.rows.slice(0, maxRows) }]))
+    }));
+}
+
+// Checks every rule whose column is in the file; rowNumbers gives the sheet row of each data
+// row. Readable numbers written with a unit or a decimal comma are rewritten as plain numbers
+// straight away, since every later stage expects them. Returns { rules, violations } with
+// the rows and a few example values of each problem.
+export function checkPlausibility(data, columns, settings, rowNumbers) {
+    const decimalComma = settings.decimal_comma !== false;
+    const rules = [];
+    for (const [mapCol, rule] of Object.entries(settings.rules || {})) {
+        const col = resolveColumn(columns, mapCol);
+        if (!col) continue;
+        const entry = {
+            column: col,
+            rule: describeRule(rule),
+            on_violation: rule.on_violation || null,
+            checked: 0,
+            normalized: { unit: 0, decimal_comma: 0 },
+            violations: 0,
+            problems: {},
+            cells: []
+        };
+        data.forEach((row, i) => {
+            const value = row[col];
+            if (value == null || String(value).trim() === '') return;
+            entry.checked++;
+            const result = rule.type === 'category' ? checkCategory(value, rule) : checkNumber(value, rule, decimalComma);
+            if (result.read && result.read.unit) entry.normalized.unit++;
+            if (result.read && result.read.decimal_comma) entry.normalized.decimal_comma++;
+            if (!result.problem) {
+                if (result.normalized !== undefined) row[col] = result.normalized;
+                return;
+            }
+            entry.violations++;
+            const problem = entry.problems[result.problem] || (entry.problems[result.problem] = {
+                label: PROBLEMS[result.problem].label,
+                coerce: PROBLEMS[result.problem].coerce,
+                count: 0,
+                rows: [],
+                examples: []
+            });
+            const text = String(value);
+            problem.count++;
+            problem.rows.push(rowNumbers ? rowNumbers[i] : i + 2);
+            if (problem.examples.length < MAX_EXAMPLES && !problem.examples.includes(text)) problem.examples.push(text);
+            entry.cells.push({ index: i, coerced: result.coerced });
+        });
+        rules.push(entry);
+    }
+    return { rules, violations: rules.reduce((sum, rule) => sum + rule.violations, 0) };
+}
+
+// Columns with noise or another numeric transform but no rule of their own would pass "7,1"
+// through unread and so unchanged; with decimal_comma their decimal commas are rewritten
+// too. Returns { column: cells rewritten } for the columns that had any.
+export function normalizeDecimalCommas(data, columns, featureMap, settings) {
+    const normalized = {};
+    if (settings.decimal_comma === false) return normalized;
+    const ruled = Object.keys(settings.rules || {}).map(mapCol => resolveColumn(columns, mapCol)).filter(Boolean);
+    for (const [mapCol, action] of Object.entries(featureMap)) {
+        if (mapCol.startsWith('_') || !isNumericAction(action)) continue;
+        const col = resolveColumn(columns, mapCol);
+        if (!col || ruled.includes(col)) continue;
+        let count = 0;
+        data.forEach(row => {
+            const value = row[col];
+            if (typeof value !== 'string' || !DECIMAL_COMMA.test(value.trim())) return;
+            row[col] = String(parseFloat(value.trim().replace(',', '.')));
+            count++;
+        });
+        if (count > 0) normalized[col] = count;
+    }
+    return normalized;
+}
+
+// actions: { column: "coerce" | "blank" | "drop" | "abort" } for every rule with problems.
+// Returns { data, rowNumbers } left, { column: { action, cells } } and the rows dropped.
+export function handleImplausibleValues(data, rowNumbers, check, actions) {
+    const dropped = new Set();
+    const report = {};
+    for (const rule of check.rules) {
+        if (rule.violations === 0) continue;
+        const action = actions[rule.column];
+        if (action === 'abort') {
+            const summary = Object.values(rule.problems).map(problem => `${problem.count} ${problem.label} (sheet rows ` +
+                `${problem.rows.slice(0, 10).join(', ')}${problem.rows.length > 10 ? ', ...' : ''})`).join(', ');
+            throw new Error(`${rule.column} fails its rule (${rule.rule}): ${summary}`);
+        }
+        if (!VALIDATION_ACTIONS.includes(action)) throw new Error(`Unknown validation action "${action}" for ${rule.column}`);
+        rule.cells.forEach(({ index, coerced }) => {
+            if (action === 'drop') dropped.add(index);
+            else data[index][rule.column] = action === 'coerce' ? coerced : null;
+        });
+        report[rule.column] = { action, cells: rule.violations };
+    }
+    if (dropped.size === 0) return { data, rowNumbers, report, dropped: 0 };
+    return {
+        data: data.filter((row, i) => !dropped.has(i)),
+        rowNumbers: rowNumbers ? rowNumbers.filter((row, i) => !dropped.has(i)) : rowNumbers,
+        report,
+        dropped: dropped.size
+    };
+}
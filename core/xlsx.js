@@ -0,0 +1,7 @@
+// SheetJS, handed over with useXLSX by whoever loads it: the page and the worker import
+// the copy in vendor/xlsx, the command line tool the npm package.
+export let XLSX = null;
+
+export function useXLSX(library) {
+    XLSX = library;
+}
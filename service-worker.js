@@ -0,0 +1,102 @@
+// Offline copy of the app. Every file the pages load is cached on install; requests go to
+// the network first so a deployed update is picked up, and fall back to the cache when
+// there is no network. Registered by script.js.
+const CACHE_NAME = 'anonymizer-v1';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'lookup.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'config.js',
+    'script.js',
+    'worker.js',
+    'core/anonymize.js',
+    'core/columns.js',
+    'core/dates.js',
+    'core/export.js',
+    'core/filters.js',
+    'core/keyfile.js',
+    'core/manifest.js',
+    'core/merge.js',
+    'core/noise.js',
+    'core/patientlists.js',
+    'core/pipeline.js',
+    'core/profiles.js',
+    'core/pseudonym.js',
+    'core/random.js',
+    'core/redact.js',
+    'core/risk.js',
+    'core/shapes.js',
+    'core/sheets.js',
+    'core/synth.js',
+    'core/temporal.js',
+    'core/transforms.js',
+    'core/utility.js',
+    'core/validation.js',
+    'core/xlsx.js',
+    'ui/cohort-panel.js',
+    'ui/dom.js',
+    'ui/export-panel.js',
+    'ui/lookup.js',
+    'ui/preview-panel.js',
+    'ui/profile-panel.js',
+    'ui/profile-store.js',
+    'ui/review-panel.js',
+    'ui/risk-panel.js',
+    'ui/sources-panel.js',
+    'ui/synth-panel.js',
+    'ui/utility-panel.js',
+    'ui/worker-client.js'
+];
+
+// Vendored libraries are only cached, and only served from the network, with the hash
+// pinned in vendor/README.md
+const VENDORED_FILES = {
+    'vendor/xlsx/xlsx.mjs': 'sha384-vMt7nFr+qLgwFptCMXo86SEMI0XjJYs5DW+NKjOpofqM8loAF0Fq3K8/CFzTZyCl'
+};
+
+function vendoredIntegrity(url) {
+    const path = new URL(url).pathname;
+    const file = Object.keys(VENDORED_FILES).find(name => path.endsWith(`/${name}`));
+    return file ? VENDORED_FILES[file] : null;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+        for (const [file, integrity] of Object.entries(VENDORED_FILES)) {
+            await cache.put(file, await fetch(file, { integrity }));
+        }
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        try {
+            const integrity = vendoredIntegrity(request.url);
+            const response = await fetch(integrity ? new Request(request, { integrity }) : request);
+            if (response.ok) await cache.put(request, response.clone());
+            return response;
+        } catch (e) {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            if (cached) return cached;
+            throw e;
+        }
+    })());
+});
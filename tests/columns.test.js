@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import XLSX from 'xlsx';
+import {
+    dedupeHeaders, findUnmappedColumns, foldHeader, matchHeaders, renameColumns, resolveColumn, resolveUnmappedColumns
+} from '../core/columns.js';
+import { readSheet } from '../core/sheets.js';
+import { buildWorkbook } from './fixtures.js';
+
+function readBack(header, rows) {
+    const workbook = XLSX.read(buildWorkbook([{ name: 'Eko', header, rows }]), { type: 'array' });
+    return readSheet(workbook, 'Eko');
+}
+
+describe('dedupeHeaders', () => {
+    it('numbers repeated headers in order of appearance', () => {
+        const { names, duplicates } = dedupeHeaders(['EF', 'VTI (cm)', 'EF', 'VTI (cm)', 'EF']);
+        assert.deepEqual(names, ['EF', 'VTI (cm)', 'EF.1', 'VTI (cm).1', 'EF.2']);
+        assert.deepEqual(duplicates, { EF: ['EF.1', 'EF.2'], 'VTI (cm)': ['VTI (cm).1'] });
+    });
+
+    it('skips numbers another header already uses', () => {
+        assert.deepEqual(dedupeHeaders(['EF', 'EF.1', 'EF']).names, ['EF', 'EF.1', 'EF.2']);
+    });
+});
+
+describe('readSheet', () => {
+    it('keeps repeated headers apart', () => {
+        const sheet = readBack(['PNR', 'VTI (cm)', 'VTI (cm)'], [['1', 20, 21]]);
+        assert.deepEqual(sheet.columns, ['PNR', 'VTI (cm)', 'VTI (cm).1']);
+        assert.deepEqual(sheet.duplicates, { 'VTI (cm)': ['VTI (cm).1'] });
+        assert.deepEqual(sheet.data[0], { PNR: '1', 'VTI (cm)': '20', 'VTI (cm).1': '21' });
+    });
+
+    it('cleans invisible characters and spaces out of headers', () => {
+        const sheet = readBack([' PNR\u200B', 'Vmax\u00A0 (m/s)'], [['1', 2.5]]);
+        assert.deepEqual(sheet.columns, ['PNR', 'Vmax (m/s)']);
+    });
+
+    it('names headerless columns by letter and leaves out empty ones', () => {
+        const sheet = readBack(['PNR', '', '', 'EF'], [['1', 'x', null, 60], ['2', null, null, 55]]);
+        assert.deepEqual(sheet.columns, ['PNR', 'Column B', 'EF']);
+        assert.deepEqual(sheet.data[1], { PNR: '2', 'Column B': null, EF: '55' });
+    });
+
+    it('gives the sheet row of every data row', () => {
+        assert.deepEqual(readBack(['PNR'], [['1'], ['2']]).rowNumbers, [2, 3]);
+    });
+});
+
+describe('header matching', () => {
+    const featureMap = {
+        _config: { aliases: { 'Vmax (m/s)': ['Vmax', 'V max'] }, header_matching: { fuzzy: 'confirm', min_similarity: 0.8 } },
+        PNR: 'keep',
+        'Vmax (m/s)': 0.3,
+        TAPSE: 1.0,
+        LÄNGD: 2.0
+    };
+
+    it('folds accents, units and punctuation', () => {
+        assert.equal(foldHeader('LÄNGD (cm)'), 'langd');
+        assert.equal(foldHeader('Vmax [m/s]'), 'vmax');
+        assert.equal(foldHeader('Längd cm'), 'langd');
+    });
+
+    it('resolves exact names before case-insensitive ones', () => {
+        assert.equal(resolveColumn(['Aorta', 'AORTA'], 'AORTA'), 'AORTA');
+        assert.equal(resolveColumn(['pnr'], 'PNR'), 'pnr');
+        assert.equal(resolveColumn(['pnr'], 'DATUM'), null);
+    });
+
+    it('applies aliases and suggests similar names', () => {
+        const { aliases, suggestions } = matchHeaders(['pnr', 'V MAX', 'TAPS E', 'Längd (cm)', 'Kommentar'], featureMap);
+        assert.deepEqual(aliases, { 'V MAX': 'Vmax (m/s)' });
+        assert.deepEqual(suggestions.map(({ header, canonical }) => [header, canonical]), [['Längd (cm)', 'LÄNGD'], ['TAPS E', 'TAPSE']]);
+    });
+
+    it('suggests nothing when fuzzy matching is off', () => {
+        const off = { ...featureMap, _config: { ...featureMap._config, header_matching: { fuzzy: 'off' } } };
+        assert.deepEqual(matchHeaders(['TAPS E'], off).suggestions, []);
+    });
+
+    it('renames columns in the rows and the column list', () => {
+        const data = [{ 'V MAX': 2.1, PNR: '1' }];
+        const columns = ['V MAX', 'PNR'];
+        renameColumns(data, columns, { 'V MAX': 'Vmax (m/s)' });
+        assert.deepEqual(columns, ['Vmax (m/s)', 'PNR']);
+        assert.deepEqual(Object.keys(data[0]), ['Vmax (m/s)', 'PNR']);
+    });
+});
+
+describe('unmapped columns', () => {
+    const featureMap = { _config: {}, PNR: 'keep', EF: 'keep' };
+
+    it('lists columns the feature map does not mention', () => {
+        assert.deepEqual(findUnmappedColumns(['pnr', 'EF', 'EF.1', 'Kommentar'], featureMap), ['EF.1', 'Kommentar']);
+    });
+
+    it('drops, aborts or leaves the decision to the user', () => {
+        assert.deepEqual(resolveUnmappedColumns(['EF.1'], { unmapped_columns: 'drop' }), { 'EF.1': 'rm' });
+        assert.deepEqual(resolveUnmappedColumns(['EF.1'], { strict_columns: false }), { 'EF.1': 'keep' });
+        assert.equal(resolveUnmappedColumns(['EF.1'], { unmapped_columns: 'review' }), null);
+        assert.deepEqual(resolveUnmappedColumns([], { unmapped_columns: 'review' }), {});
+        assert.throws(() => resolveUnmappedColumns(['EF.1'], { unmapped_columns: 'abort' }), /Columns not listed in FEATURE_MAP: EF\.1/);
+    });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatEpochDay, handleDateErrors, parseDateColumn, parseDateValue } from '../core/dates.js';
+
+const MARCH_4_2021 = Date.UTC(2021, 2, 4) / 86400000;
+
+describe('parseDateValue', () => {
+    it('reads every supported format', () => {
+        const cases = [
+            ['YYYY-MM-DD', '2021-03-04'],
+            ['YYYY-MM-DD', '2021/3/4'],
+            ['ISO datetime', '2021-03-04T13:45:00Z'],
+            ['ISO datetime', '2021-03-04 08:00'],
+            ['YYYYMMDD', '20210304'],
+            ['DD/MM/YYYY', '04/03/2021'],
+            ['DD/MM/YYYY', '4.3.2021'],
+            ['MM/DD/YYYY', '03/04/2021'],
+            ['YYMMDD', '210304'],
+            ['CC-YYMMDD', '20-210304'],
+            ['Excel serial', '44259'],
+            ['Excel serial', 44259]
+        ];
+        cases.forEach(([format, value]) => {
+            assert.equal(parseDateValue(value, format), MARCH_4_2021, `${format}: ${value}`);
+        });
+    });
+
+    it('accepts Date objects whatever the format', () => {
+        assert.equal(parseDateValue(new Date(2021, 2, 4), 'YYYYMMDD'), MARCH_4_2021);
+        assert.equal(parseDateValue(new Date(NaN), 'YYYY-MM-DD'), null);
+    });
+
+    it('rejects days that do not exist', () => {
+        assert.equal(parseDateValue('2021-02-30', 'YYYY-MM-DD'), null);
+        assert.equal(parseDateValue('2021-13-01', 'YYYY-MM-DD'), null);
+        assert.equal(parseDateValue('31/04/2021', 'DD/MM/YYYY'), null);
+        assert.equal(parseDateValue('18991231', 'YYYYMMDD'), null);
+    });
+
+    it('puts two-digit years below 50 in the 2000s', () => {
+        assert.equal(formatEpochDay(parseDateValue('490101', 'YYMMDD')), '2049-01-01');
+        assert.equal(formatEpochDay(parseDateValue('500101', 'YYMMDD')), '1950-01-01');
+    });
+
+    it('never guesses 9-digit values', () => {
+        for (const format of ['YYYY-MM-DD', 'YYYYMMDD', 'YYMMDD', 'DD/MM/YYYY', 'Excel serial']) {
+            assert.equal(parseDateValue('202103041', format), null, format);
+            assert.equal(parseDateValue('20-0210304', format), null, format);
+        }
+        assert.equal(parseDateValue('20-0210304', 'CC-YYMMDD'), null);
+    });
+
+    it('reads the century-hyphen dates of the sample workbook', () => {
+        assert.equal(formatEpochDay(parseDateValue('20-011028', 'CC-YYMMDD')), '2001-10-28');
+        assert.equal(formatEpochDay(parseDateValue('20-\u200b050214', 'CC-YYMMDD')), '2005-02-14');
+        assert.equal(parseDateValue('20-012001', 'CC-YYMMDD'), null);
+        const check = parseDateColumn(
+            ['20-011028', '20-012001', '20-020301', '20-\u200b050214'].map(DATUM => ({ DATUM })), 'DATUM', 'auto');
+        assert.equal(check.format, 'CC-YYMMDD');
+        assert.deepEqual(check.errors.map(error => error.value), ['20-012001']);
+    });
+
+    it('throws on an unknown format', () => {
+        assert.throws(() => parseDateValue('2021-03-04', 'DD-MON-YY'), /Unknown date format "DD-MON-YY"/);
+    });
+});
+
+describe('parseDateColumn', () => {
+    const rows = values => values.map(DATUM => ({ DATUM }));
+
+    it('detects the format once for the column', () => {
+        assert.equal(parseDateColumn(rows(['2021-03-04', '2021-03-05']), 'DATUM', 'auto').format, 'YYYY-MM-DD');
+        assert.equal(parseDateColumn(rows(['20210304', '20210305']), 'DATUM', 'auto').format, 'YYYYMMDD');
+        assert.equal(parseDateColumn(rows(['210304', '210305']), 'DATUM', 'auto').format, 'YYMMDD');
+        assert.equal(parseDateColumn(rows(['44259', '44260']), 'DATUM', 'auto').format, 'Excel serial');
+    });
+
+    it('tells day-first from month-first by days above 12', () => {
+        assert.equal(parseDateColumn(rows(['04/03/2021', '25/03/2021']), 'DATUM', 'auto').format, 'DD/MM/YYYY');
+        assert.equal(parseDateColumn(rows(['03/04/2021', '03/25/2021']), 'DATUM', 'auto').format, 'MM/DD/YYYY');
+    });
+
+    it('reports 9-digit and other unreadable values with their sheet rows', () => {
+        const check = parseDateColumn(rows(['2021-03-04', '202103041', null, 'okänt', '2021-03-05']), 'DATUM', 'auto', [2, 3, 5, 6, 8]);
+        assert.equal(check.format, 'YYYY-MM-DD');
+        assert.deepEqual(check.days, [MARCH_4_2021, null, null, null, MARCH_4_2021 + 1]);
+        assert.deepEqual(check.errors, [
+            { index: 1, row: 3, value: '202103041' },
+            { index: 2, row: 5, value: '' },
+            { index: 3, row: 6, value: 'okänt' }
+        ]);
+    });
+
+    it('counts sheet rows from 2 when no row numbers are given', () => {
+        const check = parseDateColumn(rows(['x']), 'DATUM', 'YYYY-MM-DD');
+        assert.equal(check.errors[0].row, 2);
+    });
+});
+
+describe('handleDateErrors', () => {
+    const data = () => [{ DATUM: '2021-03-04' }, { DATUM: '202103041' }, { DATUM: '2021-03-05' }];
+
+    it('drops the unreadable rows', () => {
+        const rows = data();
+        const result = handleDateErrors(rows, parseDateColumn(rows, 'DATUM', 'YYYY-MM-DD'), 'DATUM', 'drop');
+        assert.deepEqual(result.data.map(row => row.DATUM), ['2021-03-04', '2021-03-05']);
+        assert.equal(result.flagColumn, null);
+    });
+
+    it('flags the unreadable rows and empties their date', () => {
+        const rows = data();
+        const result = handleDateErrors(rows, parseDateColumn(rows, 'DATUM', 'YYYY-MM-DD'), 'DATUM', 'flag');
+        assert.equal(result.flagColumn, 'DATUM_unparsed');
+        assert.deepEqual(result.data.map(row => [row.DATUM, row.DATUM_unparsed]), [['2021-03-04', 0], [null, 1], ['2021-03-05', 0]]);
+    });
+
+    it('throws on an unknown action', () => {
+        const rows = data();
+        assert.throws(() => handleDateErrors(rows, parseDateColumn(rows, 'DATUM', 'YYYY-MM-DD'), 'DATUM', 'guess'), /Unknown date error action/);
+    });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyCohortFilters, compileCohortStep } from '../core/filters.js';
+
+const COLUMNS = ['PNR', 'Vmax (m/s)', 'INDIK'];
+
+// Patient A: Vmax 1.8 then 2.6, INDIK 8. B: Vmax 3.1 on all three visits, INDIK 3.
+// C: one visit, Vmax not recorded, INDIK "8.0".
+const DATA = [
+    { PNR: 'A', 'Vmax (m/s)': '1.8', INDIK: '8' },
+    { PNR: 'A', 'Vmax (m/s)': '2.6', INDIK: '8' },
+    { PNR: 'B', 'Vmax (m/s)': '3.1', INDIK: '3' },
+    { PNR: 'B', 'Vmax (m/s)': '3.1', INDIK: '3' },
+    { PNR: 'B', 'Vmax (m/s)': '3.1', INDIK: '3' },
+    { PNR: 'C', 'Vmax (m/s)': '', INDIK: '8.0' }
+];
+
+const patients = result => [...new Set(result.data.map(row => row.PNR))];
+
+describe('cohort steps', () => {
+    it('keeps patients with any visit above a Vmax threshold', () => {
+        const step = { type: 'threshold', column: 'Vmax (m/s)', op: '>=', value: 2.5, match: 'any' };
+        assert.deepEqual(patients(applyCohortFilters(DATA, COLUMNS, { steps: [step] })), ['A', 'B']);
+    });
+
+    it('needs every recorded visit to pass when match is "all"', () => {
+        const step = { type: 'threshold', column: 'Vmax (m/s)', op: '>=', value: 2.5, match: 'all' };
+        assert.deepEqual(patients(applyCohortFilters(DATA, COLUMNS, { steps: [step] })), ['B']);
+    });
+
+    it('matches INDIK categories as numbers or text', () => {
+        const step = { type: 'category', column: 'indik', values: ['8'], match: 'any' };
+        assert.deepEqual(patients(applyCohortFilters(DATA, COLUMNS, { steps: [step] })), ['A', 'C']);
+    });
+
+    it('filters on visit frequency', () => {
+        const atLeastTwo = applyCohortFilters(DATA, COLUMNS, { steps: [{ type: 'visits', min: 2 }] });
+        assert.deepEqual(patients(atLeastTwo), ['A', 'B']);
+        const atMostTwo = applyCohortFilters(DATA, COLUMNS, { steps: [{ type: 'visits', min: 1, max: 2 }] });
+        assert.deepEqual(patients(atMostTwo), ['A', 'C']);
+    });
+
+    it('keeps every visit of a selected patient', () => {
+        const step = { type: 'threshold', column: 'Vmax (m/s)', op: '>', value: 2, match: 'any' };
+        assert.equal(applyCohortFilters(DATA, COLUMNS, { steps: [step] }).data.length, 5);
+    });
+
+    it('ignores empty cells and text in threshold columns', () => {
+        const { predicate } = compileCohortStep({ type: 'threshold', column: 'Vmax (m/s)', op: '<', value: 10, match: 'all' }, COLUMNS);
+        assert.equal(predicate([{ 'Vmax (m/s)': '' }, { 'Vmax (m/s)': 'ej mätt' }]), false);
+        assert.equal(predicate([{ 'Vmax (m/s)': '' }, { 'Vmax (m/s)': '2' }]), true);
+    });
+});
+
+describe('applyCohortFilters', () => {
+    const vmax = { type: 'threshold', column: 'Vmax (m/s)', op: '>=', value: 3, match: 'any' };
+    const indik = { type: 'category', column: 'INDIK', values: ['8'], match: 'any' };
+
+    it('narrows the cohort step by step with "and"', () => {
+        const result = applyCohortFilters(DATA, COLUMNS, { combine: 'and', steps: [indik, { type: 'visits', min: 2 }] });
+        assert.deepEqual(patients(result), ['A']);
+        assert.deepEqual(result.steps.map(step => step.patients), [2, 1]);
+        assert.equal(result.patientCount, 1);
+    });
+
+    it('unites the steps with "or"', () => {
+        const result = applyCohortFilters(DATA, COLUMNS, { combine: 'or', steps: [vmax, indik] });
+        assert.deepEqual(patients(result), ['A', 'B', 'C']);
+        assert.equal(result.combine, 'or');
+    });
+
+    it('keeps everyone without steps', () => {
+        assert.equal(applyCohortFilters(DATA, COLUMNS, { steps: [] }).patientCount, 3);
+    });
+
+    it('says which step left no patients', () => {
+        const none = { type: 'threshold', column: 'Vmax (m/s)', op: '>', value: 9, match: 'any' };
+        assert.throws(() => applyCohortFilters(DATA, COLUMNS, { steps: [indik, none] }), /No patients left after step 2 \(Vmax \(m\/s\) > 9/);
+    });
+
+    it('rejects unknown columns, operators and step types', () => {
+        assert.throws(() => applyCohortFilters(DATA, COLUMNS, { steps: [{ ...vmax, column: 'AORTA' }] }), /Column "AORTA" not found/);
+        assert.throws(() => applyCohortFilters(DATA, COLUMNS, { steps: [{ ...vmax, op: '=>' }] }), /Unknown operator "=>"/);
+        assert.throws(() => applyCohortFilters(DATA, COLUMNS, { steps: [{ type: 'age' }] }), /Unknown cohort step type "age"/);
+    });
+
+    it('needs a PNR column', () => {
+        assert.throws(() => applyCohortFilters([{ ID: 1 }], ['ID'], { steps: [] }), /PNR column not found/);
+    });
+});
+
+describe('patient lists', () => {
+    const step = { type: 'threshold', column: 'Vmax (m/s)', op: '>=', value: 3, match: 'any' };
+
+    it('removes excluded patients before the steps and counts them', () => {
+        const result = applyCohortFilters(DATA, COLUMNS, { steps: [] }, { exclude: new Set(['B', 'X']) });
+        assert.deepEqual(patients(result), ['A', 'C']);
+        assert.deepEqual(result.excluded, { patients: 1, rows: 3 });
+    });
+
+    it('keeps included patients the steps would drop', () => {
+        const result = applyCohortFilters(DATA, COLUMNS, { steps: [step] }, { include: new Set(['B', 'C']) });
+        assert.deepEqual(patients(result), ['B', 'C']);
+        assert.deepEqual(result.included, { patients: 1, rows: 1 });
+        assert.deepEqual(result.steps[0], { label: 'Vmax (m/s) >= 3 (any visit)', patients: 1, rows: 3 });
+    });
+
+    it('keeps included patients when an AND step matches nobody', () => {
+        const none = { ...step, value: 9 };
+        const result = applyCohortFilters(DATA, COLUMNS, { combine: 'and', steps: [none, step] }, { include: new Set(['C']) });
+        assert.deepEqual(patients(result), ['C']);
+        assert.deepEqual(result.steps.map(report => report.patients), [0, 0]);
+        assert.throws(() => applyCohortFilters(DATA, COLUMNS, { combine: 'and', steps: [none] }, { include: new Set(['X']) }), /No patients left after step 1/);
+    });
+
+    it('lets the exclusion list win over the inclusion list', () => {
+        const result = applyCohortFilters(DATA, COLUMNS, { steps: [] }, { exclude: new Set(['C']), include: new Set(['C']) });
+        assert.deepEqual(patients(result), ['A', 'B']);
+        assert.deepEqual(result.included, { patients: 0, rows: 0 });
+    });
+});
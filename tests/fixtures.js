@@ -0,0 +1,203 @@
+// Generated fixture workbooks and a headless run of the pipeline for the tests.
+// Everything is seeded, so a fixture is the same file on every run.
+import XLSX from 'xlsx';
+import { FEATURE_MAP } from '../config.js';
+import { exportSettingsFromConfig } from '../core/export.js';
+import { runPipeline } from '../core/pipeline.js';
+import { createProfile, DEFAULT_PROFILE_NAME } from '../core/profiles.js';
+import { createRandom } from '../core/random.js';
+import { riskSettingsFromConfig } from '../core/risk.js';
+import { useXLSX } from '../core/xlsx.js';
+
+useXLSX(XLSX);
+
+export const FIRST_NAMES = ['Astrid', 'Birgitta', 'Gunnar', 'Ingrid', 'Leif', 'Margareta', 'Sven', 'Ulla', 'Åke', 'Örjan'];
+export const LAST_NAMES = ['Bergström', 'Lindqvist', 'Holmberg', 'Sandberg', 'Forsberg', 'Wikström', 'Öberg', 'Nyström'];
+const MONTH_NAMES = ['januari', 'februari', 'mars', 'april', 'maj', 'juni', 'juli', 'augusti', 'september', 'oktober', 'november', 'december'];
+
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_OFFSET = 25569;  // Days from 1899-12-30 to 1970-01-01
+const TEXT_COLUMNS = ['NAMN', 'AVD', 'INDIK', 'Vilo-EKG (när detta finns)', 'Övrigt'];
+// Columns with a validation rule in config.js get values inside it: [min, max, decimals]
+const PLAUSIBLE_RANGES = {
+    'LÄNGD': [150, 200, 0], VIKT: [45, 130, 1], BTS: [100, 180, 0], BTD: [55, 95, 0], PULS: [45, 110, 0], EF: [25, 70, 0]
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+function dateParts(day) {
+    const date = new Date(day * MS_PER_DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+export function isoDate(day) {
+    const { year, month, day: d } = dateParts(day);
+    return `${year}-${pad(month)}-${pad(d)}`;
+}
+
+// A DATUM cell in one of the formats core/dates.js reads
+export function formatDate(day, format) {
+    const { year, month, day: d } = dateParts(day);
+    switch (format) {
+        case 'YYYY-MM-DD': return isoDate(day);
+        case 'YYYYMMDD': return `${year}${pad(month)}${pad(d)}`;
+        case 'DD/MM/YYYY': return `${pad(d)}/${pad(month)}/${year}`;
+        case 'MM/DD/YYYY': return `${pad(month)}/${pad(d)}/${year}`;
+        case 'YYMMDD': return `${String(year).slice(2)}${pad(month)}${pad(d)}`;
+        case 'Excel serial': return day + EXCEL_EPOCH_OFFSET;
+        default: throw new Error(`No fixture writer for date format ${format}`);
+    }
+}
+
+// The ways a clinician writes a date in free text
+export function freeTextDates(day) {
+    const { year, month, day: d } = dateParts(day);
+    return [isoDate(day), `${year}${pad(month)}${pad(d)}`, `${d}/${month}/${year}`, `${d} ${MONTH_NAMES[month - 1]} ${year}`];
+}
+
+// The ways a personnummer is written: 12 digits, 10 digits, with or without the hyphen
+export function pnrForms(pnr) {
+    return [pnr, pnr.slice(2), `${pnr.slice(0, 8)}-${pnr.slice(8)}`, `${pnr.slice(2, 8)}-${pnr.slice(8)}`];
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Patients with a unique 12-digit PNR, a name and visit days in date order.
+// options: { patients, seed, visits: [min, max] }
+export function generatePatients(options = {}) {
+    const random = createRandom(options.seed || 'fixture');
+    const [minVisits, maxVisits] = options.visits || [3, 7];
+    const firstVisit = Date.UTC(2012, 0, 1) / MS_PER_DAY;
+    const taken = new Set();
+    const patients = [];
+    for (let p = 0; p < (options.patients || 12); p++) {
+        let pnr;
+        do {
+            const birth = Date.UTC(1930 + Math.floor(random() * 70), 0, 1) / MS_PER_DAY + Math.floor(random() * 365);
+            pnr = isoDate(birth).replace(/-/g, '') + String(Math.floor(random() * 10000)).padStart(4, '0');
+        } while (taken.has(pnr));
+        taken.add(pnr);
+
+        const days = [firstVisit + Math.floor(random() * 2900)];
+        const visits = minVisits + Math.floor(random() * (maxVisits - minVisits + 1));
+        while (days.length < visits) days.push(days[days.length - 1] + 30 + Math.floor(random() * 370));
+        patients.push({
+            pnr,
+            name: `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+            age: 30 + Math.floor(random() * 60),
+            sex: random() < 0.5 ? 'K' : 'M',
+            vmax: 1 + random() * 3.5,
+            indik: pick(random, [3, 5, 8]),
+            days
+        });
+    }
+    return patients;
+}
+
+// One row per visit with every FEATURE_MAP column. The first visit's Övrigt mentions the
+// patient's name and personnummer, another patient's name and a date, as clinicians do.
+// options: those of generatePatients plus { dateFormat, pnrFormat: index into pnrForms }
+export function generateRows(options = {}) {
+    const random = createRandom(`${options.seed || 'fixture'}:rows`);
+    const patients = generatePatients(options);
+    const columns = Object.keys(FEATURE_MAP).filter(col => !col.startsWith('_'));
+    const rows = [];
+    patients.forEach((patient, p) => {
+        const other = patients[(p + 1) % patients.length];
+        patient.days.forEach((day, v) => {
+            const row = {};
+            columns.forEach(col => {
+                if (TEXT_COLUMNS.includes(col)) {
+                    row[col] = null;
+                    return;
+                }
+                const draw = random();
+                const range = PLAUSIBLE_RANGES[col];
+                row[col] = range
+                    ? Number((range[0] + draw * (range[1] - range[0])).toFixed(range[2]))
+                    : Math.round(draw * 1000) / 10;
+            });
+            row.DATUM = formatDate(day, options.dateFormat || 'YYYY-MM-DD');
+            row.PNR = pnrForms(patient.pnr)[options.pnrFormat != null ? options.pnrFormat : 2];
+            row.NAMN = patient.name;
+            row.AVD = `Avd ${1 + p % 4}`;
+            row.Age = patient.age + v;
+            row.Sex = patient.sex;
+            row['Vmax (m/s)'] = Math.round((patient.vmax + random() * 0.5) * 100) / 100;
+            row.INDIK = String(patient.indik);
+            row['Vilo-EKG (när detta finns)'] = pick(random, ['SR', 'FF', 'SR, VES']);
+            row['Övrigt'] = v === 0
+                ? `Remiss från dr ${other.name}. Pat ${patient.name}, ${pick(random, pnrForms(patient.pnr))}, tel 070-123 45 67, ` +
+                  `senast undersökt ${pick(random, freeTextDates(day - 90))}`
+                : 'inget att anmärka';
+            rows.push(row);
+        });
+    });
+    return { columns, rows, patients };
+}
+
+// sheets: [{ name, header, rows }] with rows as objects keyed by header or as arrays in
+// header order; arrays allow repeated headers. Returns the XLSX file as bytes.
+export function buildWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(({ name, header, rows }) => {
+        const cells = rows.map(row => (Array.isArray(row) ? row : header.map(col => row[col])));
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header].concat(cells)), name);
+    });
+    return new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }));
+}
+
+// The default profile set up for unattended runs: unmapped columns and unreadable dates are
+// dropped and every patient is kept. edit(featureMap) changes it further.
+export function testProfile(edit) {
+    const profile = createProfile(DEFAULT_PROFILE_NAME, FEATURE_MAP);
+    const config = profile.feature_map._config;
+    config.unmapped_columns = 'drop';
+    config.dates = { ...config.dates, on_error: 'drop' };
+    config.cohort = { combine: 'and', steps: [] };
+    if (edit) edit(profile.feature_map);
+    return profile;
+}
+
+const HEADLESS_HOOKS = {
+    progress() {},
+    ask(kind) {
+        throw new Error(`The run asked a question: ${kind}`);
+    },
+    preview: async () => true
+};
+
+// files: [{ name, data }]; each file's first sheet is read unless options.sheets says otherwise,
+// options.progress(percent, text) follows the run and options.preview(session) replaces the
+// preview that exports at once
+export async function runHeadless(files, options = {}) {
+    const profile = options.profile || testProfile();
+    const config = profile.feature_map._config;
+    return runPipeline({
+        files,
+        sheets: options.sheets || files.map((file, index) => ({
+            file: index,
+            sheet: XLSX.read(file.data, { type: 'array', bookSheets: true }).SheetNames[0]
+        })),
+        seed: options.seed || 'test-seed',
+        secret: options.secret || '',
+        keyFilePassphrase: options.keyFilePassphrase || null,
+        profile,
+        cohort: config.cohort,
+        patientLists: options.patientLists,
+        riskSettings: riskSettingsFromConfig(profile.feature_map),
+        exportSettings: exportSettingsFromConfig(config)
+    }, {
+        ...HEADLESS_HOOKS,
+        progress: options.progress || HEADLESS_HOOKS.progress,
+        preview: options.preview || HEADLESS_HOOKS.preview
+    });
+}
+
+export function outputFile(result, extension) {
+    const file = result.downloads.find(download => download.name.endsWith(extension));
+    if (!file) throw new Error(`The run wrote no ${extension} file`);
+    return file.content;
+}
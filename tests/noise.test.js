@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyNoise, enforceConstraints, epsilonSpent, validateNoiseSpec } from '../core/noise.js';
+import { createRandom } from '../core/random.js';
+
+const SAMPLES = 5000;
+
+function noisy(values, spec, seed = 'noise', patients) {
+    return applyNoise(values, spec, { random: createRandom(seed), patients });
+}
+
+function range(n, value) {
+    return Array.from({ length: n }, (_, i) => (typeof value === 'function' ? value(i) : value));
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+describe('noise bounds', () => {
+    it('keeps uniform noise within the amplitude', () => {
+        const values = range(SAMPLES, i => 40 + i % 50);
+        const output = noisy(values, { amplitude: 2 });
+        const offsets = output.map((value, i) => value - values[i]);
+        assert.ok(offsets.every(offset => Math.abs(offset) <= 2 && Number.isInteger(offset)));
+        assert.ok(offsets.some(offset => offset !== 0));
+    });
+
+    it('allows half a rounding step more for amplitudes below 1', () => {
+        const values = range(SAMPLES, i => (100 + i % 400) / 10);
+        const output = noisy(values, { amplitude: 0.3 });
+        output.forEach((value, i) => assert.ok(Math.abs(value - values[i]) <= 0.35 + 1e-9, `${values[i]} → ${value}`));
+    });
+
+    it('scales relative noise with the value', () => {
+        const values = range(SAMPLES, i => String(10 + i % 190) + '.0');
+        const output = noisy(values, { model: 'relative', percent: 10 });
+        output.forEach((value, i) => {
+            const original = Number(values[i]);
+            assert.ok(Math.abs(value - original) <= original * 0.1 + 0.05 + 1e-9, `${values[i]} → ${value}`);
+        });
+    });
+
+    it('clamps to min and max', () => {
+        const values = range(SAMPLES, i => (i % 2 ? 1 : 99));
+        const output = noisy(values, { amplitude: 5, min: 0, max: 100 });
+        assert.ok(output.every(value => value >= 0 && value <= 100));
+        assert.ok(output.includes(0) && output.includes(100));
+    });
+
+    it('centres Gaussian and Laplace noise on the value', () => {
+        const values = range(SAMPLES * 4, 50);
+        const gaussian = noisy(values, { model: 'gaussian', sd: 2, decimals: 3 }).map(value => value - 50);
+        assert.ok(Math.abs(mean(gaussian)) < 0.1);
+        assert.ok(Math.abs(Math.sqrt(mean(gaussian.map(offset => offset * offset))) - 2) < 0.1);
+
+        // Laplace scale is sensitivity / epsilon = 4; the mean absolute offset equals the scale
+        const laplace = noisy(values, { model: 'laplace', epsilon: 0.5, sensitivity: 2, decimals: 3 }).map(value => value - 50);
+        assert.ok(Math.abs(mean(laplace)) < 0.2);
+        assert.ok(Math.abs(mean(laplace.map(Math.abs)) - 4) < 0.2);
+    });
+
+    it('keeps Laplace noise finite when the generator returns 0', () => {
+        const draws = [0, 0.75];
+        const random = () => draws.shift();
+        const [value] = applyNoise([50], { model: 'laplace', epsilon: 1, sensitivity: 1, decimals: 6 }, { random });
+        assert.equal(value, 50 + Math.round(Math.log(2) * 1e6) / 1e6);
+    });
+
+    it('passes empty and non-numeric cells through', () => {
+        assert.deepEqual(noisy([null, '', 'ej mätt'], { amplitude: 2 }), [null, '', 'ej mätt']);
+    });
+
+    it('gives all of a patient\'s visits the same offset at full correlation', () => {
+        const patients = range(300, i => `P${i % 30}`);
+        const output = noisy(range(300, 50), { amplitude: 10, decimals: 2, patient_correlation: 1 }, 'noise', patients);
+        const byPatient = new Map();
+        output.forEach((value, i) => {
+            if (!byPatient.has(patients[i])) byPatient.set(patients[i], value);
+            assert.equal(value, byPatient.get(patients[i]));
+        });
+        assert.ok(new Set(byPatient.values()).size > 1);
+    });
+
+    it('repeats itself for the same seed', () => {
+        const values = range(100, i => i);
+        assert.deepEqual(noisy(values, { amplitude: 2 }, 'a'), noisy(values, { amplitude: 2 }, 'a'));
+        assert.notDeepEqual(noisy(values, { amplitude: 2 }, 'a'), noisy(values, { amplitude: 2 }, 'b'));
+    });
+});
+
+describe('noise settings', () => {
+    it('rejects unknown models and missing parameters', () => {
+        assert.throws(() => validateNoiseSpec({ model: 'fancy' }), /Unknown noise model "fancy"/);
+        assert.throws(() => validateNoiseSpec({ model: 'gaussian' }), /needs a positive "sd"/);
+        assert.throws(() => validateNoiseSpec({ amplitude: -1 }), /needs a positive "amplitude"/);
+        assert.throws(() => validateNoiseSpec({ amplitude: 1, patient_correlation: 2 }), /between 0 and 1/);
+    });
+
+    it('adds up the Laplace epsilons against the budget', () => {
+        const featureMap = {
+            _config: { noise: { epsilon_budget: 1 } },
+            EF: { type: 'noise', model: 'laplace', epsilon: 0.5, sensitivity: 10 },
+            GLS: [{ type: 'noise', model: 'laplace', epsilon: 0.25, sensitivity: 1 }, { type: 'round', step: 1 }],
+            TAPSE: 1.0
+        };
+        assert.equal(epsilonSpent(featureMap), 0.75);
+        featureMap.TAPSE = { type: 'noise', model: 'laplace', epsilon: 0.5, sensitivity: 1 };
+        assert.throws(() => epsilonSpent(featureMap), /use ε 1.25, more than the budget of 1/);
+    });
+});
+
+describe('enforceConstraints', () => {
+    it('moves violating values just past the bound', () => {
+        const data = [{ BTS: '120', BTD: '80' }, { BTS: '78', BTD: '80' }, { BTS: '79.5', BTD: '80' }, { BTS: '', BTD: '80' }];
+        const report = enforceConstraints(data, ['BTS', 'BTD'], [{ left: 'BTS', op: '>', right: 'BTD' }]);
+        assert.deepEqual(report, { 'BTS > BTD': 2 });
+        assert.deepEqual(data.map(row => row.BTS), ['120', 81, 80.1, '']);
+    });
+
+    it('compares with numbers and leaves out missing columns', () => {
+        const data = [{ "E' (cm/s)": '-0.4' }];
+        const report = enforceConstraints(data, ["E' (cm/s)"], [
+            { left: "E' (cm/s)", op: '>=', right: 0 },
+            { left: 'AORTA', op: '>', right: 0 }
+        ]);
+        assert.deepEqual(report, { "E' (cm/s) >= 0": 1 });
+        assert.equal(data[0]["E' (cm/s)"], 0);
+    });
+});
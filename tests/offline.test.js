@@ -0,0 +1,119 @@
+// The tool must work without a network: nothing is loaded from elsewhere, the service
+// worker caches every file the pages need, and the vendored libraries match their hashes.
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { dirname, join, normalize } from 'node:path';
+import { describe, it } from 'node:test';
+import { buildSingleFile, readVendoredHashes } from '../bin/build-single-file.js';
+
+const ROOT = join(dirname(new URL(import.meta.url).pathname), '..');
+const PAGES = ['index.html', 'lookup.html'];
+
+const read = file => readFile(join(ROOT, file), 'utf8');
+const sha = (algorithm, text) => `${algorithm}-${createHash(algorithm).update(text).digest('base64')}`;
+
+// Every module a page loads, following relative imports and the worker's URL
+async function reachableModules(page) {
+    const html = await read(page);
+    const pending = [...html.matchAll(/<script[^>]* src="([^"]+)"/g)].map(match => match[1]);
+    const seen = new Set();
+    while (pending.length > 0) {
+        const file = pending.pop();
+        if (seen.has(file)) continue;
+        seen.add(file);
+        const source = await read(file);
+        const specifiers = [
+            ...source.matchAll(/(?:from|import) '([^']+)'/g),
+            ...source.matchAll(/new URL\('([^']+)', import\.meta\.url\)/g)
+        ].map(match => match[1]);
+        for (const specifier of specifiers) {
+            assert.ok(specifier.startsWith('.'), `${file} imports ${specifier}`);
+            pending.push(normalize(join(dirname(file), specifier)));
+        }
+    }
+    return [...seen];
+}
+
+async function serviceWorkerLists() {
+    const source = await read('service-worker.js');
+    const appFiles = source.match(/const APP_FILES = \[([\s\S]*?)\];/)[1];
+    const vendored = source.match(/const VENDORED_FILES = \{([\s\S]*?)\};/)[1];
+    return {
+        appFiles: [...appFiles.matchAll(/'([^']+)'/g)].map(match => match[1]),
+        vendored: Object.fromEntries([...vendored.matchAll(/'([^']+)': '([^']+)'/g)].map(match => [match[1], match[2]]))
+    };
+}
+
+describe('offline use', () => {
+    it('loads nothing from another origin', async () => {
+        for (const page of PAGES) {
+            const html = await read(page);
+            assert.doesNotMatch(html, /(src|href)="(https?:)?\/\//, page);
+            for (const file of await reachableModules(page)) {
+                if (file.startsWith('vendor/')) continue;
+                assert.doesNotMatch(await read(file), /(import|from|importScripts\()\s*\(?'(https?:)?\/\//, file);
+            }
+        }
+    });
+
+    it('forbids network connections and inline styles in every page', async () => {
+        for (const page of PAGES) {
+            const html = await read(page);
+            const csp = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/);
+            assert.ok(csp, `${page} has no Content-Security-Policy`);
+            assert.match(csp[1], /default-src 'none'/);
+            assert.match(csp[1], /connect-src 'none'/);
+            assert.doesNotMatch(html, / style="/, `${page} has style attributes, which the policy blocks`);
+        }
+        for (const page of PAGES) {
+            for (const file of await reachableModules(page)) {
+                if (file.startsWith('vendor/')) continue;
+                assert.doesNotMatch(await read(file), /style="/, `${file} writes style attributes, which the policy blocks`);
+            }
+        }
+    });
+
+    it('caches every file the pages load', async () => {
+        const { appFiles, vendored } = await serviceWorkerLists();
+        const needed = new Set([...PAGES, 'styles.css', 'manifest.webmanifest', 'icons/icon.svg']);
+        for (const page of PAGES) (await reachableModules(page)).forEach(file => needed.add(file));
+        needed.add('worker.js');
+        for (const file of needed) {
+            assert.ok(appFiles.includes(file) || file in vendored, `service-worker.js does not cache ${file}`);
+        }
+        for (const file of appFiles.filter(file => file !== './')) await read(file);
+    });
+
+    it('pins the vendored libraries to the same hash everywhere', async () => {
+        const hashes = await readVendoredHashes(ROOT);
+        const { vendored } = await serviceWorkerLists();
+        const index = await read('index.html');
+        assert.ok(Object.keys(hashes).length > 0);
+        for (const [file, hash] of Object.entries(hashes)) {
+            assert.equal(sha('sha384', await readFile(join(ROOT, 'vendor', file))), hash, `vendor/${file} does not match vendor/README.md`);
+            assert.equal(vendored[`vendor/${file}`], hash, `service-worker.js pins another hash for vendor/${file}`);
+            assert.ok(index.includes(`href="vendor/${file}" integrity="${hash}"`), `index.html pins another hash for vendor/${file}`);
+        }
+    });
+});
+
+describe('single-file build', () => {
+    it('inlines everything and allows only its own script and style', async () => {
+        const pages = await buildSingleFile(ROOT);
+        assert.deepEqual(Object.keys(pages), PAGES);
+        for (const [page, html] of Object.entries(pages)) {
+            assert.doesNotMatch(html, /<script[^>]* src=|<link[^>]* rel="(stylesheet|modulepreload|manifest)"/, page);
+            assert.doesNotMatch(html, /(src|href)="(?!data:)[^"#]+\.(js|mjs|css)"/, page);
+            const csp = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/)[1];
+            assert.match(csp, /connect-src 'none'/);
+            const script = html.match(/<script type="module">([\s\S]*?)<\/script>/)[1];
+            const style = html.match(/<style>([\s\S]*?)<\/style>/)[1];
+            assert.ok(csp.includes(`script-src '${sha('sha256', script)}'`), `${page}: script hash`);
+            assert.ok(csp.includes(`style-src '${sha('sha256', style)}'`), `${page}: style hash`);
+        }
+        assert.match(pages['index.html'], /<script type="text\/plain" id="workerSource">/);
+        assert.match(pages['index.html'], /worker-src blob:/);
+        assert.match(pages['index.html'], /<a href="lookup\.html">/);
+    });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { hashPatients, loadPatientList, matchPatientList, parsePatientList } from '../core/patientlists.js';
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+describe('parsePatientList', () => {
+    it('reads personnummer in any form and hashes in either case', () => {
+        const list = parsePatientList([
+            '\uFEFFPNR;reason',
+            '19121212-1212;withdrew',
+            '"201212121212"',
+            '',
+            '400101-0101',
+            '191212121212',
+            sha256('195505055555').toUpperCase()
+        ].join('\r\n'), 'Exclusion list');
+        assert.deepEqual([...list.pnrs], ['191212121212', '201212121212', '194001010101']);
+        assert.deepEqual([...list.hashes], [sha256('195505055555')]);
+    });
+
+    it('names the lines it cannot read without repeating them', () => {
+        assert.throws(() => parsePatientList('PNR\n191212121212\n19121212\nBengt', 'Exclusion list optout.csv'),
+            new Error('Exclusion list optout.csv: 2 lines are neither a personnummer nor a SHA-256 hash (lines 3, 4)'));
+        assert.throws(() => parsePatientList('PNR\n\n', 'Inclusion list keep.txt'), /Inclusion list keep.txt lists no patients/);
+    });
+});
+
+describe('matchPatientList', () => {
+    it('matches plaintext and hashed entries and counts the rest', async () => {
+        const list = loadPatientList({ name: 'optout.csv', text: `191212121212\n${sha256('194001010101')}\n195505055555\n` }, 'exclude');
+        const patients = new Set(['191212121212', '194001010101', '200002022222']);
+        const match = matchPatientList(list, patients, await hashPatients(patients));
+        assert.deepEqual([...match.patients], ['191212121212', '194001010101']);
+        assert.equal(match.notFound, 1);
+    });
+});
@@ -0,0 +1,365 @@
+// Whole runs over generated workbooks. The golden files in tests/golden are the expected
+// output for a fixed fixture, seed and secret; after a deliberate change to the output,
+// rewrite them with UPDATE_GOLDEN=1 npm test and review the diff.
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { createRandom } from '../core/random.js';
+import {
+    buildWorkbook, formatDate, freeTextDates, generateRows, isoDate, outputFile, pnrForms, runHeadless, testProfile
+} from './fixtures.js';
+
+async function assertGolden(name, text) {
+    const path = new URL(`./golden/${name}`, import.meta.url);
+    if (process.env.UPDATE_GOLDEN) {
+        await writeFile(path, text);
+        return;
+    }
+    assert.equal(text, await readFile(path, 'utf8'), `Output differs from tests/golden/${name}`);
+}
+
+function fixtureFile(options, edit) {
+    const { columns, rows, patients } = generateRows(options);
+    const header = edit ? edit(columns) : columns;
+    return { file: { name: 'fixture.xlsx', data: buildWorkbook([{ name: 'Eko', header, rows: rows.map(row => columns.map(col => row[col])) }]) }, rows, patients };
+}
+
+describe('golden outputs', () => {
+    it('default profile', async () => {
+        const { file } = fixtureFile({ patients: 24, seed: 'golden-default' });
+        const profile = testProfile(featureMap => {
+            featureMap._config.cohort = { combine: 'and', steps: [
+                { type: 'threshold', column: 'Vmax (m/s)', op: '>=', value: 2.0, match: 'any' },
+                { type: 'visits', min: 4 }
+            ] };
+        });
+        const result = await runHeadless([file], { profile, seed: 'golden', secret: 'project secret' });
+        await assertGolden('default.csv', outputFile(result, '.csv'));
+    });
+
+    it('renamed and repeated headers, day-first dates, date shift and a European CSV layout', async () => {
+        const { file } = fixtureFile({ patients: 24, seed: 'golden-variants', dateFormat: 'DD/MM/YYYY' }, columns => columns.map(col => ({
+            'LÄNGD': 'Längd (cm)',
+            'TAPSE': 'TAPS E',
+            'VTI (cm).1': 'VTI (cm)'
+        })[col] || col));
+        const profile = testProfile(featureMap => {
+            const config = featureMap._config;
+            config.header_matching.fuzzy = 'accept';
+            config.dates.format = 'DD/MM/YYYY';
+            config.pseudonym.length = 12;
+            config.cohort = { combine: 'or', steps: [
+                { type: 'category', column: 'INDIK', values: ['8'], match: 'any' },
+                { type: 'visits', min: 6 }
+            ] };
+            config.export = { formats: ['csv'], csv: { delimiter: ';', decimal: ',', quoting: 'minimal' } };
+            featureMap.DATUM = { type: 'temporal', mode: 'shift', max_days: 14 };
+        });
+        const result = await runHeadless([file], { profile, seed: 'golden', secret: 'project secret' });
+        await assertGolden('variants.csv', outputFile(result, '.csv'));
+    });
+});
+
+describe('runPipeline', () => {
+    it('gives the same output for the same seed and secret', async () => {
+        const { file } = fixtureFile({ patients: 10, seed: 'repeat' });
+        const run = seed => runHeadless([file], { seed, secret: 'project' }).then(result => outputFile(result, '.csv'));
+        const first = await run('one');
+        assert.equal(await run('one'), first);
+        assert.notEqual(await run('two'), first);
+    });
+
+    it('keeps pseudonyms across seeds when a project secret is set', async () => {
+        const { file } = fixtureFile({ patients: 10, seed: 'linkable' });
+        const pseudonyms = async seed => {
+            const lines = outputFile(await runHeadless([file], { seed, secret: 'project' }), '.csv').split('\r\n').slice(1);
+            return [...new Set(lines.map(line => line.split(',')[1]))].sort();
+        };
+        assert.deepEqual(await pseudonyms('one'), await pseudonyms('two'));
+    });
+
+    it('keys pseudonyms at random, not by the seed, without a project secret', async () => {
+        const { file } = fixtureFile({ patients: 10, seed: 'unlinkable' });
+        const run = async () => {
+            const result = await runHeadless([file], { seed: 'test' });
+            const lines = outputFile(result, '.csv').split('\r\n').slice(1);
+            return { pseudonyms: [...new Set(lines.map(line => line.split(',')[1]))].sort(), manifest: JSON.parse(outputFile(result, '.manifest.json')) };
+        };
+        const first = await run();
+        const second = await run();
+        assert.ok(first.pseudonyms.every(pseudonym => !second.pseudonyms.includes(pseudonym)));
+        assert.deepEqual(first.manifest.seed, { provided: true });
+        assert.equal(first.manifest.pseudonyms.keyed_with, 'random run key');
+    });
+
+    it('keeps the project secret and anything derived from it out of the manifest', async () => {
+        const { file } = fixtureFile({ patients: 5, seed: 'manifest-secret' });
+        const profile = testProfile();
+        const manifest = async secret => {
+            const result = await runHeadless([file], { profile, seed: 'one', secret });
+            const text = outputFile(result, '.manifest.json');
+            assert.ok(!text.includes(secret));
+            // The output files' hashes differ with the pseudonyms, as does the time
+            const parsed = JSON.parse(text);
+            delete parsed.created;
+            delete parsed.output.files;
+            return parsed;
+        };
+        const first = await manifest('correct horse battery');
+        assert.equal(first.pseudonyms.keyed_with, 'project secret');
+        assert.deepEqual(await manifest('staple'), first);
+    });
+
+    it('reports progress that never goes backwards', async () => {
+        const { file } = fixtureFile({ patients: 5, seed: 'progress' });
+        const percents = [];
+        await runHeadless([file], { progress: percent => percents.push(percent) });
+        assert.ok(percents.every((percent, i) => i === 0 || percent >= percents[i - 1]), percents.join(', '));
+        assert.equal(percents[percents.length - 1], 100);
+    });
+
+    it('refuses actions on PNR and DATUM that would be ignored', async () => {
+        const { file } = fixtureFile({ patients: 3 });
+        const withAction = (col, action) => testProfile(featureMap => { featureMap[col] = action; });
+        await assert.rejects(runHeadless([file], { profile: withAction('PNR', 'rm') }),
+            /PNR is always replaced by a keyed pseudonym; its action must be "keep"/);
+        await assert.rejects(runHeadless([file], { profile: withAction('DATUM', 'rm') }),
+            /DATUM is always replaced as its "mode" says; its action must be "keep" or "temporal"/);
+        await assert.rejects(runHeadless([file], { profile: withAction('PNR', ['keep', { type: 'round', step: 5 }]) }), /PNR is always replaced/);
+
+        const errors = [];
+        const result = await runHeadless([file], {
+            preview: async session => {
+                for (const col of ['PNR', 'DATUM']) {
+                    try {
+                        session.setAction(col, 'rm');
+                    } catch (e) {
+                        errors.push(e.message);
+                    }
+                }
+                return true;
+            }
+        });
+        assert.deepEqual(errors, ['PNR is always replaced and has no action to change', 'DATUM is always replaced and has no action to change']);
+        assert.deepEqual(outputFile(result, '.csv').split('\r\n')[0].split(',').slice(0, 2), ['\ufeff"DATUM"', '"PNR"']);
+    });
+
+    it('stops when PNR or DATUM is missing', async () => {
+        const { columns, rows } = generateRows({ patients: 3 });
+        const withoutDatum = columns.filter(col => col !== 'DATUM');
+        const data = buildWorkbook([{ name: 'Eko', header: withoutDatum, rows }]);
+        await assert.rejects(runHeadless([{ name: 'no-date.xlsx', data }]), /Critical columns missing: DATUM\./);
+
+        const withoutBoth = withoutDatum.filter(col => col !== 'PNR');
+        const bare = buildWorkbook([{ name: 'Eko', header: withoutBoth, rows }]);
+        await assert.rejects(runHeadless([{ name: 'bare.xlsx', data: bare }]), /Critical columns missing: PNR, DATUM\./);
+    });
+
+    it('stops when a cohort step names a missing column', async () => {
+        const { file } = fixtureFile({ patients: 3 });
+        const profile = testProfile(featureMap => {
+            featureMap._config.cohort.steps = [{ type: 'threshold', column: 'NT-proBNP', op: '>', value: 300, match: 'any' }];
+        });
+        await assert.rejects(runHeadless([file], { profile }), /Critical columns missing: NT-proBNP/);
+    });
+
+    it('drops rows whose dates cannot be read, 9-digit ones included', async () => {
+        const { columns, rows } = generateRows({ patients: 4, visits: [3, 3] });
+        rows[1].DATUM = '201203041';
+        rows[5].DATUM = 'okänt';
+        const data = buildWorkbook([{ name: 'Eko', header: columns, rows }]);
+        const result = await runHeadless([{ name: 'dates.xlsx', data }]);
+        assert.equal(result.rows, 10);
+        assert.ok(result.diagnostics.some(line => line.includes('Unparseable dates (2, dropped) at sheet rows: 3, 7')));
+    });
+
+    it('asks about implausible values and drops rows before the date check', async () => {
+        const { columns, rows } = generateRows({ patients: 4, visits: [3, 3] });
+        rows[1]['LÄNGD'] = 1750;
+        rows[2].EF = '55 %';
+        rows[3].VIKT = '82,5';
+        rows[4].DATUM = 'okänt';
+        const data = buildWorkbook([{ name: 'Eko', header: columns, rows }]);
+        await assert.rejects(runHeadless([{ name: 'plausible.xlsx', data }]), /The run asked a question: validation/);
+
+        const profile = testProfile(featureMap => { featureMap._config.validation.on_violation = 'drop'; });
+        const result = await runHeadless([{ name: 'plausible.xlsx', data }], { profile });
+        assert.equal(result.rows, 10);
+        assert.ok(result.diagnostics.includes('Validation (1 values outside their rule, 1 rows dropped):\n' +
+            '  LÄNGD (number 120–220 cm): 1 above the maximum (sheet rows 3) → rows dropped\n' +
+            '  VIKT (number 30–250 kg): 1 with a decimal comma\n' +
+            '  EF (number 5–85 %): 1 written with the unit'));
+        assert.ok(result.diagnostics.some(line => line.includes('Unparseable dates (1, dropped) at sheet rows: 6')));
+    });
+
+    it('reads decimal commas in noise columns without a rule before adding the noise', async () => {
+        const { columns, rows } = generateRows({ patients: 4, visits: [3, 3] });
+        rows[0].GLS = '7,1';
+        rows[1].TRICUSP = '-2,5';
+        const data = buildWorkbook([{ name: 'Eko', header: columns, rows }]);
+        const profile = testProfile(featureMap => { featureMap._config.export = { formats: ['jsonl'] }; });
+        const result = await runHeadless([{ name: 'commas.xlsx', data }], { profile });
+        const output = outputFile(result, '.jsonl').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(typeof output[0].GLS, 'number');
+        assert.ok(Math.abs(output[0].GLS - 7.1) <= 1 + 1e-9 && output[0].GLS !== 7.1);
+        assert.ok(Math.abs(output[1].TRICUSP + 2.5) <= 0.2 + 1e-9 && output[1].TRICUSP !== -2.5);
+        assert.ok(result.diagnostics.includes('Decimal commas read in columns without a rule: GLS (1), TRICUSP (1)'));
+    });
+
+    it('leaves out excluded patients, keeps included ones and reports only counts', async () => {
+        const { file, patients } = fixtureFile({ patients: 8, seed: 'lists' });
+        const sex = patients[0].sex;
+        const same = patients.filter(patient => patient.sex === sex);
+        const other = patients.find(patient => patient.sex !== sex);
+        assert.ok(same.length >= 3 && other);
+        const profile = testProfile(featureMap => {
+            featureMap._config.cohort = { combine: 'and', steps: [{ type: 'category', column: 'Sex', values: [sex], match: 'any' }] };
+        });
+
+    it('exports included patients when an AND step matches nobody', async () => {
+        const { file, patients } = fixtureFile({ patients: 4, seed: 'lists-only' });
+        const profile = testProfile(featureMap => {
+            featureMap._config.cohort = { combine: 'and', steps: [{ type: 'threshold', column: 'Vmax (m/s)', op: '>', value: 99, match: 'any' }] };
+        });
+        const result = await runHeadless([file], {
+            profile,
+            patientLists: { include: { name: 'keep.txt', text: `${patients[1].pnr}\n` } }
+        });
+        assert.equal(result.rows, patients[1].days.length);
+        const manifest = JSON.parse(outputFile(result, '.manifest.json'));
+        assert.equal(manifest.filters.patient_lists.include.kept_by_override, 1);
+    });
+        const hash = createHash('sha256').update(same[1].pnr).digest('hex');
+        const result = await runHeadless([file], {
+            profile,
+            patientLists: {
+                exclude: { name: 'optout.csv', text: `PNR\n${pnrForms(same[0].pnr)[2]}\n${hash}\n191212121212\n` },
+                include: { name: 'keep.txt', text: `${other.pnr}\n${pnrForms(same[0].pnr)[1]}\n` }
+            }
+        });
+        const kept = same.slice(2).concat(other);
+        assert.equal(result.rows, kept.reduce((sum, patient) => sum + patient.days.length, 0));
+        const manifest = JSON.parse(outputFile(result, '.manifest.json'));
+        assert.deepEqual(manifest.filters.patient_lists.exclude, {
+            name: 'optout.csv',
+            entries: 3,
+            hashed: 1,
+            not_found: 1,
+            patients: 2,
+            rows_removed: same[0].days.length + same[1].days.length
+        });
+        assert.equal(manifest.filters.patient_lists.include.kept_by_override, 1);
+        assert.equal(manifest.filters.patient_lists.include.also_excluded, 1);
+        assert.ok(result.diagnostics.some(line => line.startsWith('Exclusion list optout.csv (3 entries): 2 patients excluded')));
+        const report = result.diagnostics.join('\n') + JSON.stringify(manifest);
+        for (const patient of [same[0], same[1], other]) {
+            pnrForms(patient.pnr).forEach(form => assert.ok(!report.includes(form), `${form} in the report`));
+        }
+        assert.ok(!report.includes(hash));
+        // Nor the hash of a list file, which would confirm a guessed list
+        const listFile = `${other.pnr}\n`;
+        const single = await runHeadless([file], { profile, patientLists: { exclude: { name: 'one.txt', text: listFile } } });
+        const singleReport = single.diagnostics.join('\n') + outputFile(single, '.manifest.json');
+        assert.ok(!singleReport.includes(createHash('sha256').update(listFile).digest('hex')));
+    });
+
+    it('writes wide and summary tables from the anonymized day offsets', async () => {
+        const { file, patients } = fixtureFile({ patients: 6, seed: 'shapes', visits: [2, 4] });
+        const run = shapes => runHeadless([file], {
+            secret: 'project',
+            profile: testProfile(featureMap => {
+                featureMap._config.export = { formats: ['jsonl'], shapes, wide: { max_visits: 3 }, summary: { columns: ['Vmax (m/s)'] } };
+            })
+        });
+        const jsonLines = text => text.trim().split('\n').map(line => JSON.parse(line));
+
+        const wide = await run(['wide']);
+        assert.deepEqual(wide.downloads.map(download => download.name), ['fixture.wide.jsonl', 'fixture.manifest.json']);
+        const rows = jsonLines(outputFile(wide, '.wide.jsonl'));
+        assert.deepEqual(rows.map(row => [row.visits, row.follow_up_days, row.DATUM_v1]),
+            patients.map(patient => [patient.days.length, patient.days[patient.days.length - 1] - patient.days[0], 0]));
+        assert.ok(rows.every(row => !('DATUM_v4' in row)));
+        assert.deepEqual(JSON.parse(outputFile(wide, '.manifest.json')).output.shapes.wide, {
+            rows: 6, max_visits: 3, patients_truncated: patients.filter(patient => patient.days.length > 3).length
+        });
+
+        const summary = await run(['summary']);
+        const first = jsonLines(outputFile(summary, '.summary.jsonl'))[0];
+        assert.deepEqual(Object.keys(first), [
+            'PNR', 'visits', 'follow_up_days', 'Vmax (m/s)_first', 'Vmax (m/s)_last', 'Vmax (m/s)_min', 'Vmax (m/s)_max', 'Vmax (m/s)_slope_per_year'
+        ]);
+        assert.equal(first.PNR, rows[0].PNR);
+        assert.ok(summary.diagnostics.includes('Summary table: 6 patients, first, last, min, max and slope per year of Vmax (m/s)'));
+    });
+
+    it('runs the sample workbook in the repository', async () => {
+        const data = new Uint8Array(await readFile(new URL('../nonsense_medical_data(1) - Copy.xlsx', import.meta.url)));
+        const profile = testProfile(featureMap => {
+            featureMap._config.dates.on_error = 'flag';
+            featureMap._config.validation.on_violation = 'blank';
+        });
+        const result = await runHeadless([{ name: 'sample.xlsx', data }], { profile });
+        const csv = outputFile(result, '.csv');
+        assert.equal(result.rows, 7);
+        assert.ok(result.diagnostics.includes('Date format in DATUM: CC-YYMMDD'));
+        assert.ok(result.diagnostics.some(line => line.includes('LÄNGD (number 120–220 cm): 7 below the minimum')));
+        assert.ok(result.diagnostics.some(line => line.includes('Repeated headers') && line.includes('VTI (cm) → VTI (cm).1')));
+        assert.ok(!csv.includes('Person_2011'));
+        assert.ok(csv.split('\r\n')[0].includes('"DATUM_unparsed"'));
+    });
+});
+
+// Random files, profiles and free text; whatever the run does, no personnummer, name or
+// visit date of the input may survive in any form clinicians write them in
+describe('no identifiers in the output', () => {
+    const DATE_FORMATS = ['YYYY-MM-DD', 'YYYYMMDD', 'DD/MM/YYYY', 'Excel serial'];
+    const MODES = ['days_since_first', 'visit_number', 'shift', 'year', 'year_month'];
+    const RUNS = 20;
+
+    const wordPattern = text => new RegExp(`(?<![\\p{L}\\p{N}])${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'u');
+
+    for (let run = 0; run < RUNS; run++) {
+        it(`random run ${run + 1}`, async () => {
+            const random = createRandom(`property-${run}`);
+            const pick = list => list[Math.floor(random() * list.length)];
+            const dateFormat = pick(DATE_FORMATS);
+            const mode = pick(MODES);
+            const { file, rows, patients } = fixtureFile({
+                patients: 5 + Math.floor(random() * 20),
+                seed: `property-${run}`,
+                dateFormat,
+                pnrFormat: Math.floor(random() * 4)
+            });
+            const profile = testProfile(featureMap => {
+                featureMap._config.dates.format = dateFormat;
+                featureMap.DATUM = { type: 'temporal', mode };
+                featureMap._config.export = { formats: ['jsonl'] };
+            });
+            const result = await runHeadless([file], { profile, seed: `run-${run}`, secret: random() < 0.5 ? 'project' : '' });
+            const output = outputFile(result, '.jsonl').trim().split('\n').map(line => JSON.parse(line));
+            assert.equal(output.length, rows.length);
+
+            // Shifted dates are real-looking dates, so DATUM is checked row by row below
+            const text = output.map(row => JSON.stringify(Object.values({ ...row, DATUM: mode === 'shift' ? null : row.DATUM }))).join('\n');
+            for (const patient of patients) {
+                for (const form of pnrForms(patient.pnr)) {
+                    assert.ok(!text.includes(form), `PNR ${form} in the output (${mode}, ${dateFormat})`);
+                }
+                for (const name of [patient.name, ...patient.name.split(' ')]) {
+                    assert.ok(!wordPattern(name).test(text), `Name ${name} in the output`);
+                }
+                const dates = patient.days.flatMap(day => [isoDate(day), String(formatDate(day, dateFormat))])
+                    .concat(freeTextDates(patient.days[0] - 90));
+                for (const date of dates) {
+                    assert.ok(!wordPattern(date).test(text), `Date ${date} in the output (${mode}, ${dateFormat})`);
+                }
+            }
+            if (mode === 'shift') {
+                // Rows come out in input order, which is patient by patient, visit by visit
+                const days = patients.flatMap(patient => patient.days);
+                output.forEach((row, i) => assert.notEqual(row.DATUM, isoDate(days[i]), `Row ${i + 1} kept its date`));
+            }
+        });
+    }
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createID, importPseudonymKey, normalizePnr, normalizePnrColumn, pseudonymLength } from '../core/pseudonym.js';
+import { generatePatients } from './fixtures.js';
+
+async function pseudonymize(rows, secret = 'project', length = 16) {
+    return createID(rows.map(PNR => ({ PNR })), ['PNR'], await importPseudonymKey(secret), length);
+}
+
+describe('normalizePnr', () => {
+    it('gives every way of writing a personnummer the same 12 digits', () => {
+        for (const value of ['19450312-1234', '194503121234', '450312-1234', '4503121234', ' 450312 - 1234 ']) {
+            assert.equal(normalizePnr(value, 2026), '194503121234', value);
+        }
+    });
+
+    it('reads a "+" as someone aged 100 or more', () => {
+        assert.equal(normalizePnr('201212+1234', 2026), '192012121234');
+        assert.equal(normalizePnr('201212-1234', 2026), '202012121234');
+    });
+
+    it('returns null for other lengths and counts them in a column', () => {
+        assert.equal(normalizePnr('4503121'), null);
+        assert.equal(normalizePnr(null), null);
+        const rows = [{ PNR: '450312-1234' }, { PNR: 'okänd' }, { PNR: '' }];
+        assert.deepEqual(normalizePnrColumn(rows, 'PNR'), { unrecognized: 1 });
+        assert.equal(rows[1].PNR, 'okänd');
+    });
+});
+
+describe('createID', () => {
+    it('gives each patient one pseudonym and different patients different ones', async () => {
+        const pnrs = generatePatients({ patients: 500, seed: 'pseudonyms' }).map(patient => patient.pnr);
+        const { data, mapping } = await pseudonymize(pnrs.concat(pnrs));
+        assert.equal(mapping.size, 500);
+        assert.equal(new Set(mapping.values()).size, 500);
+        data.forEach((row, i) => {
+            assert.equal(row.PNR, mapping.get(pnrs[i % 500]));
+            assert.match(row.PNR, /^[0-9a-f]{16}$/);
+        });
+    });
+
+    it('depends on the secret only', async () => {
+        const first = await pseudonymize(['194503121234']);
+        const again = await pseudonymize(['194503121234']);
+        const other = await pseudonymize(['194503121234'], 'another project');
+        assert.equal(first.data[0].PNR, again.data[0].PNR);
+        assert.notEqual(first.data[0].PNR, other.data[0].PNR);
+    });
+
+    it('refuses to give two patients the same pseudonym', async () => {
+        // 17 patients cannot all get a different one-character pseudonym
+        const pnrs = generatePatients({ patients: 17, seed: 'collision' }).map(patient => patient.pnr);
+        await assert.rejects(pseudonymize(pnrs, 'project', 1), /Two patients got the same pseudonym at length 1/);
+    });
+
+    it('does not leave the original PNR in the rows', async () => {
+        const { data } = await pseudonymize(['194503121234']);
+        assert.ok(!JSON.stringify(data).includes('4503121234'));
+    });
+});
+
+describe('pseudonymLength', () => {
+    it('defaults to 16 and stays between 8 and 64', () => {
+        assert.equal(pseudonymLength({}), 16);
+        assert.equal(pseudonymLength({ pseudonym: { length: 12 } }), 12);
+        assert.throws(() => pseudonymLength({ pseudonym: { length: 4 } }), /between 8 and 64, got 4/);
+        assert.throws(() => pseudonymLength({ pseudonym: { length: 65 } }), /between 8 and 64, got 65/);
+    });
+});
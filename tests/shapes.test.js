@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildOutputShapes, validateShapeSettings } from '../core/shapes.js';
+
+const COLUMNS = ['PNR', 'DATUM', 'EF', 'Sex'];
+
+// Anonymized visits, not in date order: A has three, B one, C two with EF unreadable once
+const DATA = [
+    { PNR: 'A', DATUM: 365, EF: '50', Sex: 'K' },
+    { PNR: 'B', DATUM: 0, EF: 61, Sex: 'M' },
+    { PNR: 'A', DATUM: 0, EF: '60', Sex: 'K' },
+    { PNR: 'C', DATUM: 0, EF: 'ej mätt', Sex: 'M' },
+    { PNR: 'A', DATUM: 730, EF: '40', Sex: 'K' },
+    { PNR: 'C', DATUM: 100, EF: '45', Sex: 'M' }
+];
+
+const shape = (name, settings, data = DATA, mode = 'days_since_first') =>
+    buildOutputShapes(data, COLUMNS, 'PNR', 'DATUM', mode, { shapes: [name], ...settings })[0];
+
+describe('wide table', () => {
+    it('has one row per patient with columns suffixed in visit order', () => {
+        const wide = shape('wide', { wide: { max_visits: 10 } });
+        assert.deepEqual(wide.columns, [
+            'PNR', 'visits', 'follow_up_days',
+            'DATUM_v1', 'DATUM_v2', 'DATUM_v3', 'EF_v1', 'EF_v2', 'EF_v3', 'Sex_v1', 'Sex_v2', 'Sex_v3'
+        ]);
+        assert.deepEqual(wide.data[0], {
+            PNR: 'A', visits: 3, follow_up_days: 730,
+            DATUM_v1: 0, DATUM_v2: 365, DATUM_v3: 730, EF_v1: '60', EF_v2: '50', EF_v3: '40', Sex_v1: 'K', Sex_v2: 'K', Sex_v3: 'K'
+        });
+        assert.deepEqual(wide.data.map(row => row.PNR), ['A', 'B', 'C']);
+        assert.equal(wide.data[1].EF_v2, undefined);
+    });
+
+    it('stops at max_visits and counts the patients cut off', () => {
+        const wide = shape('wide', { wide: { max_visits: 2 } });
+        assert.ok(!wide.columns.includes('EF_v3'));
+        assert.deepEqual(wide.report, { rows: 3, max_visits: 2, patients_truncated: 1 });
+        assert.equal(wide.data[0].follow_up_days, 730);
+    });
+
+    it('orders visit numbers and shifted dates, and has no follow-up without days', () => {
+        const visits = DATA.map(row => ({ ...row, DATUM: { 0: 1, 365: 2, 730: 3, 100: 2 }[row.DATUM] }));
+        const wide = shape('wide', {}, visits, 'visit_number');
+        assert.ok(!wide.columns.includes('follow_up_days'));
+        assert.deepEqual([wide.data[0].EF_v1, wide.data[0].EF_v3], ['60', '40']);
+
+        const shifted = DATA.map(row => ({ ...row, DATUM: new Date(Date.UTC(2020, 0, 10 + row.DATUM)).toISOString().slice(0, 10) }));
+        const wideShifted = shape('wide', {}, shifted, 'shift');
+        assert.equal(wideShifted.data[0].DATUM_v1, '2020-01-10');
+        assert.equal(wideShifted.data[0].follow_up_days, 730);
+    });
+});
+
+describe('summary table', () => {
+    it('gives first, last, min, max and the slope per year of numeric values', () => {
+        const summary = shape('summary', { summary: { columns: ['ef', 'LVEDD'] } });
+        assert.deepEqual(summary.columns, ['PNR', 'visits', 'follow_up_days', 'EF_first', 'EF_last', 'EF_min', 'EF_max', 'EF_slope_per_year']);
+        assert.deepEqual(summary.data[0], {
+            PNR: 'A', visits: 3, follow_up_days: 730, EF_first: 60, EF_last: 40, EF_min: 40, EF_max: 60, EF_slope_per_year: -10.0068
+        });
+        assert.deepEqual(summary.data[2], {
+            PNR: 'C', visits: 2, follow_up_days: 100, EF_first: 45, EF_last: 45, EF_min: 45, EF_max: 45, EF_slope_per_year: null
+        });
+        assert.equal(summary.data[1].EF_slope_per_year, null);
+        assert.deepEqual(summary.report, { rows: 3, columns: ['EF'], not_in_output: ['LVEDD'] });
+    });
+
+    it('needs DATUM as days', () => {
+        assert.throws(() => validateShapeSettings({ shapes: ['long', 'summary'] }, 'year'),
+            /The summary table needs DATUM as days \(days_since_first, days_since_index, shift\); the profile writes it as year/);
+        validateShapeSettings({ shapes: ['wide'] }, 'year');
+    });
+
+    it('rejects unknown shapes and visit limits', () => {
+        assert.throws(() => validateShapeSettings({ shapes: ['pivot'] }, 'shift'), /Unknown output shape: pivot/);
+        assert.throws(() => validateShapeSettings({ shapes: [] }, 'shift'), /Choose at least one output shape/);
+        assert.throws(() => validateShapeSettings({ shapes: ['wide'], wide: { max_visits: 0 } }, 'shift'), /wide.max_visits/);
+    });
+});
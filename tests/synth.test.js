@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import XLSX from 'xlsx';
+import { FEATURE_MAP } from '../config.js';
+import { dedupeHeaders } from '../core/columns.js';
+import { describeSyntheticData, generateSyntheticData, syntheticWorkbook } from '../core/synth.js';
+import { outputFile, runHeadless, testProfile } from './fixtures.js';
+
+const CLEAN = { mixed_dates: 0, nine_digit_dates: 0, decimal_commas: 0, pnr_in_text: 0, renamed_headers: 0, duplicated_headers: 0 };
+const COLUMNS = Object.keys(FEATURE_MAP).filter(col => !col.startsWith('_'));
+
+const column = (data, name) => data.rows.map(row => row[data.header.indexOf(name)]);
+
+describe('synthetic data', () => {
+    it('has every FEATURE_MAP column, headers written as in the source exports', () => {
+        const { data } = syntheticWorkbook(FEATURE_MAP, { patients: 3, messiness: CLEAN });
+        const workbook = XLSX.read(data, { type: 'array' });
+        const [header] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+        assert.equal(header.filter(col => col === 'VTI (cm)').length, 2);
+        assert.deepEqual(dedupeHeaders(header).names, COLUMNS);
+    });
+
+    it('gives the same data for the same seed', () => {
+        const options = { patients: 20, seed: 'a' };
+        assert.deepEqual(generateSyntheticData(FEATURE_MAP, options), generateSyntheticData(FEATURE_MAP, options));
+        assert.notDeepEqual(generateSyntheticData(FEATURE_MAP, options).rows, generateSyntheticData(FEATURE_MAP, { ...options, seed: 'b' }).rows);
+    });
+
+    it('draws patients, visits, Vmax and INDIK as asked', () => {
+        const data = generateSyntheticData(FEATURE_MAP, {
+            patients: 400, visits: [2, 4], vmax_prevalence: 0.25, indik_prevalence: { 8: 0.5 }, messiness: CLEAN
+        });
+        const visits = new Map();
+        const stenosis = new Set();
+        const indik = new Map();
+        const pnrs = column(data, 'PNR');
+        const vmax = column(data, 'Vmax (m/s)');
+        column(data, 'INDIK').forEach((code, i) => {
+            visits.set(pnrs[i], (visits.get(pnrs[i]) || 0) + 1);
+            if (vmax[i] >= 2.0) stenosis.add(pnrs[i]);
+            indik.set(pnrs[i], code);
+        });
+        assert.equal(visits.size, 400);
+        assert.ok([...visits.values()].every(count => count >= 2 && count <= 4));
+        assert.equal(stenosis.size, data.report.vmax_patients);
+        assert.ok(Math.abs(stenosis.size / 400 - 0.25) < 0.06, `${stenosis.size} patients with stenosis`);
+        const code8 = [...indik.values()].filter(code => code === '8').length;
+        assert.ok(Math.abs(code8 / 400 - 0.5) < 0.07, `${code8} patients with INDIK 8`);
+        assert.ok(pnrs.every(pnr => /^(19|20)\d{6}-\d{4}$/.test(pnr)));
+        assert.equal(data.report.rows, data.rows.length);
+    });
+
+    it('injects the messiness it reports', () => {
+        const data = generateSyntheticData(FEATURE_MAP, {
+            patients: 200,
+            messiness: { mixed_dates: 0.1, nine_digit_dates: 0.05, decimal_commas: 0.1, pnr_in_text: 0.5, renamed_headers: 3, duplicated_headers: 2 }
+        });
+        const { report } = data;
+        const dates = column(data, 'DATUM');
+        assert.equal(dates.filter(date => /^\d{9}$/.test(String(date))).length, report.nine_digit_dates);
+        assert.equal(dates.filter(date => !/^\d{4}-\d{2}-\d{2}$/.test(String(date)) && !/^\d{9}$/.test(String(date))).length, report.mixed_dates);
+        assert.ok(report.nine_digit_dates > 0 && report.mixed_dates > 0);
+        assert.ok(describeSyntheticData(report).includes(`${report.nine_digit_dates + report.mixed_dates} dates are meant to fail the date check (dates.on_error)`));
+        const commas = data.rows.flat().filter(value => typeof value === 'string' && /^-?\d+,\d+$/.test(value)).length;
+        assert.equal(commas, report.decimal_commas);
+        assert.equal(column(data, 'Övrigt').filter(text => /\d{6}-?\d{4}/.test(text)).length, report.pnr_in_text);
+
+        assert.equal(Object.keys(report.renamed_headers).length, 3);
+        for (const [col, header] of Object.entries(report.renamed_headers)) {
+            assert.notEqual(col, header);
+            assert.ok(data.header.includes(header) && !data.header.includes(col));
+        }
+        assert.equal(report.duplicated_headers.length, 2);
+        for (const header of report.duplicated_headers) {
+            const first = data.header.indexOf(header);
+            assert.equal(data.header[first + 1], header);
+            assert.deepEqual(data.rows.map(row => row[first]), data.rows.map(row => row[first + 1]));
+        }
+        assert.ok(data.header.includes('PNR') && data.header.includes('DATUM'));
+    });
+
+    it('rejects options that cannot make a workbook', () => {
+        assert.throws(() => generateSyntheticData(FEATURE_MAP, { patients: 0 }), /The number of patients must be a whole number/);
+        assert.throws(() => generateSyntheticData(FEATURE_MAP, { visits: [3, 2] }), /Visits per patient/);
+        assert.throws(() => generateSyntheticData(FEATURE_MAP, { vmax_prevalence: 30 }), /Vmax prevalence/);
+        assert.throws(() => generateSyntheticData(FEATURE_MAP, { indik_prevalence: { 3: 0.6, 8: 0.6 } }), /INDIK prevalences/);
+        assert.throws(() => generateSyntheticData(FEATURE_MAP, { messiness: { renamed_headers: 1.5 } }), /messiness.renamed_headers/);
+    });
+});
+
+describe('synthetic data in the pipeline', () => {
+    it('runs a clean workbook through unchanged in size and without its identifiers', async () => {
+        const workbook = syntheticWorkbook(FEATURE_MAP, { patients: 30, messiness: { ...CLEAN, pnr_in_text: 1 } });
+        const profile = testProfile(featureMap => { featureMap._config.export = { formats: ['jsonl'] }; });
+        const result = await runHeadless([{ name: workbook.name, data: workbook.data }], { profile });
+        assert.equal(result.rows, workbook.report.rows);
+        const output = outputFile(result, '.jsonl');
+        const { header, rows } = generateSyntheticData(FEATURE_MAP, { patients: 30, messiness: { ...CLEAN, pnr_in_text: 1 } });
+        for (const pnr of new Set(rows.map(row => row[header.indexOf('PNR')]))) {
+            assert.ok(!output.includes(pnr.replace('-', '').slice(2)) && !output.includes(pnr.slice(2)), `${pnr} in the output`);
+        }
+        assert.ok(result.diagnostics.some(line => line.includes(`Övrigt: ${4 * workbook.report.rows} (PNR ${workbook.report.rows},`)));
+    });
+
+    it('runs a messy workbook with the questions settled by the profile', async () => {
+        const workbook = syntheticWorkbook(FEATURE_MAP, {
+            patients: 50,
+            messiness: { mixed_dates: 0.05, nine_digit_dates: 0.05, decimal_commas: 0.1, pnr_in_text: 0.3, renamed_headers: 2, duplicated_headers: 1 }
+        });
+        const profile = testProfile(featureMap => {
+            featureMap._config.header_matching.fuzzy = 'accept';
+            featureMap._config.validation.on_violation = 'coerce';
+        });
+        const result = await runHeadless([{ name: workbook.name, data: workbook.data }], { profile });
+        // Mixed and nine-digit dates are meant to fail the date check; the profile drops their rows
+        const unreadable = workbook.report.nine_digit_dates + workbook.report.mixed_dates;
+        assert.ok(unreadable > 0);
+        assert.equal(result.rows, workbook.report.rows - unreadable);
+        assert.ok(result.diagnostics.some(line => line.startsWith(`Unparseable dates (${unreadable}, dropped)`)));
+        assert.ok(result.diagnostics.some(line => line.startsWith('Repeated headers')));
+    });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { FEATURE_MAP } from '../config.js';
+import { createProfile, validateProfile } from '../core/profiles.js';
+import {
+    checkPlausibility, describeViolations, handleImplausibleValues, resolveValidationActions, validateValidationSettings
+} from '../core/validation.js';
+
+const SETTINGS = {
+    on_violation: 'ask',
+    rules: {
+        'LÄNGD': { type: 'number', unit: 'cm', min: 120, max: 220 },
+        EF: { type: 'number', unit: '%', min: 5, max: 85 },
+        PULS: { type: 'integer', min: 25, max: 220, on_violation: 'drop' },
+        Sex: { type: 'category', values: ['K', 'M'] }
+    }
+};
+
+function table() {
+    const columns = ['PNR', 'LÄNGD', 'EF', 'PULS', 'Sex'];
+    const data = [
+        { PNR: '1', 'LÄNGD': '175', EF: '55%', PULS: '62', Sex: 'K' },
+        { PNR: '2', 'LÄNGD': '1750', EF: '0,45', PULS: '71.5', Sex: 'k' },
+        { PNR: '3', 'LÄNGD': '168 cm', EF: '600', PULS: '', Sex: 'man' },
+        { PNR: '4', 'LÄNGD': 'ej mätt', EF: 60, PULS: '12', Sex: 'M' }
+    ];
+    return { columns, data, rowNumbers: [2, 3, 4, 5] };
+}
+
+const rule = (check, column) => check.rules.find(entry => entry.column === column);
+
+describe('checkPlausibility', () => {
+    it('reads units and decimal commas as plain numbers', () => {
+        const { columns, data, rowNumbers } = table();
+        const check = checkPlausibility(data, columns, SETTINGS, rowNumbers);
+        assert.equal(data[0].EF, '55');
+        assert.equal(data[2]['LÄNGD'], '168');
+        assert.deepEqual(rule(check, 'EF').normalized, { unit: 1, decimal_comma: 1 });
+        assert.deepEqual(rule(check, 'LÄNGD').normalized, { unit: 1, decimal_comma: 0 });
+    });
+
+    it('leaves decimal commas unread when switched off', () => {
+        const { columns, data } = table();
+        const check = checkPlausibility(data, columns, { ...SETTINGS, decimal_comma: false });
+        assert.deepEqual(rule(check, 'EF').problems.unreadable.examples, ['0,45']);
+    });
+
+    it('reports each problem with its sheet rows and examples', () => {
+        const { columns, data, rowNumbers } = table();
+        const check = checkPlausibility(data, columns, SETTINGS, rowNumbers);
+        assert.equal(check.violations, 8);
+        const length = rule(check, 'LÄNGD');
+        assert.equal(length.checked, 4);
+        assert.equal(length.rule, 'number 120–220 cm');
+        assert.deepEqual(length.problems.above_max, {
+            label: 'above the maximum', coerce: 'set to the maximum', count: 1, rows: [3], examples: ['1750']
+        });
+        assert.deepEqual(length.problems.unreadable.rows, [5]);
+        assert.equal(rule(check, 'EF').problems.below_min.count, 1);
+        assert.equal(rule(check, 'EF').problems.above_max.count, 1);
+        assert.deepEqual(rule(check, 'PULS').problems.not_integer.rows, [3]);
+        assert.deepEqual(rule(check, 'Sex').problems.not_allowed.examples, ['k', 'man']);
+    });
+
+    it('skips empty cells and rules for columns not in the file', () => {
+        const check = checkPlausibility([{ PULS: '' }, { PULS: null }], ['PULS'], SETTINGS);
+        assert.deepEqual(check.rules.map(entry => [entry.column, entry.checked]), [['PULS', 0]]);
+    });
+
+    it('leaves the cells out of what the page is shown', () => {
+        const { columns, data } = table();
+        const shown = describeViolations(checkPlausibility(data, columns, SETTINGS), 1);
+        assert.ok(shown.every(entry => !('cells' in entry)));
+        assert.deepEqual(shown.find(entry => entry.column === 'Sex').problems.not_allowed, {
+            label: 'not an allowed value', coerce: 'matched ignoring case, otherwise blanked', count: 2, rows: [3], examples: ['k', 'man']
+        });
+    });
+});
+
+describe('handleImplausibleValues', () => {
+    it('takes each rule\'s own action and asks about the rest', () => {
+        const { columns, data } = table();
+        const check = checkPlausibility(data, columns, SETTINGS);
+        assert.deepEqual(resolveValidationActions(check, SETTINGS), { 'LÄNGD': 'ask', EF: 'ask', PULS: 'drop', Sex: 'ask' });
+        assert.deepEqual(resolveValidationActions(check, {}).EF, 'ask');
+    });
+
+    it('coerces to the bound, the nearest whole number or the matching category', () => {
+        const { columns, data, rowNumbers } = table();
+        const check = checkPlausibility(data, columns, SETTINGS, rowNumbers);
+        const result = handleImplausibleValues(data, rowNumbers, check, { 'LÄNGD': 'coerce', EF: 'coerce', PULS: 'coerce', Sex: 'coerce' });
+        assert.deepEqual(result.data.map(row => [row['LÄNGD'], row.EF, row.PULS, row.Sex]), [
+            ['175', '55', '62', 'K'],
+            ['220', '5', '72', 'K'],
+            ['168', '85', '', null],
+            [null, 60, '25', 'M']
+        ]);
+        assert.equal(result.dropped, 0);
+        assert.deepEqual(result.report.Sex, { action: 'coerce', cells: 2 });
+    });
+
+    it('blanks cells or drops their rows with the row numbers', () => {
+        const { columns, data, rowNumbers } = table();
+        const check = checkPlausibility(data, columns, SETTINGS, rowNumbers);
+        const result = handleImplausibleValues(data, rowNumbers, check, { 'LÄNGD': 'blank', EF: 'blank', PULS: 'drop', Sex: 'blank' });
+        assert.deepEqual(result.data.map(row => row.PNR), ['1', '3']);
+        assert.deepEqual(result.rowNumbers, [2, 4]);
+        assert.equal(result.dropped, 2);
+        assert.deepEqual([result.data[1]['LÄNGD'], result.data[1].EF, result.data[1].Sex], ['168', null, null]);
+    });
+
+    it('stops with the rows of a rule set to abort', () => {
+        const { columns, data, rowNumbers } = table();
+        const check = checkPlausibility(data, columns, SETTINGS, rowNumbers);
+        assert.throws(() => handleImplausibleValues(data, rowNumbers, check, { 'LÄNGD': 'abort' }),
+            /LÄNGD fails its rule \(number 120–220 cm\): 1 above the maximum \(sheet rows 3\), 1 not a number \(sheet rows 5\)/);
+        assert.throws(() => handleImplausibleValues(data, rowNumbers, check, { 'LÄNGD': 'ask' }), /Unknown validation action "ask" for LÄNGD/);
+    });
+});
+
+describe('validation settings', () => {
+    it('lists every rule it cannot use', () => {
+        assert.throws(() => validateValidationSettings({
+            on_violation: 'fix',
+            rules: {
+                EF: { type: 'percent' },
+                Sex: { type: 'category' },
+                PULS: { type: 'integer', min: 200, max: 30, on_violation: 'ask' }
+            }
+        }), new Error('Invalid validation rules: on_violation must be one of "ask", "coerce", "blank", "drop", "abort"; ' +
+            'EF: type must be number, integer, category; Sex: a category rule needs a list of "values"; ' +
+            'PULS: min is above max; PULS: on_violation must be coerce, blank, drop, abort'));
+    });
+
+    it('is checked with the profile', () => {
+        const profile = createProfile('Test', FEATURE_MAP);
+        profile.feature_map._config.validation.rules.EF.max = '85';
+        assert.throws(() => validateProfile(profile), /EF: max must be a number/);
+    });
+});
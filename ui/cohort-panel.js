@@ -0,0 +1,145 @@
+// Cohort filter panel: edits a working copy of the active profile's _config.cohort
+import { COHORT_OPERATORS, COHORT_STEP_TYPES } from '../core/filters.js';
+import { createInput, createSelect, createSmallButton } from './dom.js';
+import { getFeatureMap } from './profile-store.js';
+
+const cohortStepsList = document.getElementById('cohortSteps');
+const cohortCombine = document.getElementById('cohortCombine');
+const addCohortStepBtn = document.getElementById('addCohortStep');
+const resetCohortBtn = document.getElementById('resetCohort');
+const cohortColumnList = document.getElementById('cohortColumnList');
+const patientListInputs = {
+    exclude: document.getElementById('excludeListInput'),
+    include: document.getElementById('includeListInput')
+};
+
+const STEP_DEFAULTS = {
+    threshold: { type: 'threshold', column: '', op: '>=', value: 0, match: 'any' },
+    category: { type: 'category', column: '', values: [], match: 'any' },
+    visits: { type: 'visits', min: 1, max: null }
+};
+
+let cohortState = null;
+
+function cloneCohort(cohort) {
+    return JSON.parse(JSON.stringify(cohort || { combine: 'and', steps: [] }));
+}
+
+export function getCohortDefinition() {
+    return cloneCohort(cohortState);
+}
+
+// The chosen exclusion and inclusion files as { exclude, include } of { name, text }.
+// They are read for each run and never saved with the profile.
+export async function readPatientLists() {
+    const lists = {};
+    for (const [kind, input] of Object.entries(patientListInputs)) {
+        const file = input.files[0];
+        if (file) lists[kind] = { name: file.name, text: await file.text() };
+    }
+    return lists;
+}
+
+export function resetCohortPanel() {
+    const featureMap = getFeatureMap();
+    cohortState = cloneCohort(featureMap._config.cohort);
+    cohortColumnList.innerHTML = '';
+    Object.keys(featureMap)
+        .filter(col => !col.startsWith('_'))
+        .forEach(col => {
+            const option = document.createElement('option');
+            option.value = col;
+            cohortColumnList.appendChild(option);
+        });
+    renderCohortPanel();
+}
+
+function moveCohortStep(index, offset) {
+    const steps = cohortState.steps;
+    const [step] = steps.splice(index, 1);
+    steps.splice(index + offset, 0, step);
+    renderCohortPanel();
+}
+
+function renderStepFields(step) {
+    const fields = [];
+    const toNumberOrNull = value => (value === '' ? null : Number(value));
+
+    if (step.type === 'visits') {
+        fields.push(document.createTextNode('min'));
+        fields.push(createInput('number', step.min, value => { step.min = toNumberOrNull(value); }));
+        fields.push(document.createTextNode('max'));
+        fields.push(createInput('number', step.max, value => { step.max = toNumberOrNull(value); }));
+        return fields;
+    }
+
+    const column = createInput('text', step.column, value => { step.column = value.trim(); }, 'Column');
+    column.setAttribute('list', 'cohortColumnList');
+    fields.push(column);
+
+    if (step.type === 'threshold') {
+        const ops = Object.keys(COHORT_OPERATORS).map(op => [op, op]);
+        fields.push(createSelect(ops, step.op, value => { step.op = value; }));
+        fields.push(createInput('number', step.value, value => { step.value = Number(value); }));
+    } else {
+        const values = (step.values || []).join(', ');
+        fields.push(createInput('text', values, value => {
+            step.values = value.split(',').map(v => v.trim()).filter(Boolean);
+        }, 'Values, comma separated'));
+    }
+
+    fields.push(createSelect([['any', 'any visit'], ['all', 'all visits']], step.match || 'any', value => {
+        step.match = value;
+    }));
+    return fields;
+}
+
+function renderCohortPanel() {
+    cohortCombine.value = cohortState.combine === 'or' ? 'or' : 'and';
+    cohortStepsList.innerHTML = '';
+
+    const steps = cohortState.steps;
+    if (steps.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'cohort-empty';
+        empty.textContent = 'No filter steps: every patient in the file is kept.';
+        cohortStepsList.appendChild(empty);
+    }
+
+    steps.forEach((step, index) => {
+        const item = document.createElement('li');
+        item.className = 'cohort-step';
+
+        const typeOptions = COHORT_STEP_TYPES.map(type => [type, type]);
+        item.appendChild(createSelect(typeOptions, step.type, value => {
+            steps[index] = cloneCohort(STEP_DEFAULTS[value]);
+            renderCohortPanel();
+        }));
+        renderStepFields(step).forEach(field => item.appendChild(field));
+
+        const controls = document.createElement('span');
+        controls.className = 'cohort-step-controls';
+        controls.appendChild(createSmallButton('↑', 'Move up', () => moveCohortStep(index, -1), index === 0));
+        controls.appendChild(createSmallButton('↓', 'Move down', () => moveCohortStep(index, 1), index === steps.length - 1));
+        controls.appendChild(createSmallButton('✕', 'Remove step', () => {
+            steps.splice(index, 1);
+            renderCohortPanel();
+        }, false));
+        item.appendChild(controls);
+
+        cohortStepsList.appendChild(item);
+    });
+}
+
+cohortCombine.addEventListener('change', () => {
+    cohortState.combine = cohortCombine.value;
+});
+
+addCohortStepBtn.addEventListener('click', () => {
+    cohortState.steps.push(cloneCohort(STEP_DEFAULTS.threshold));
+    renderCohortPanel();
+});
+
+resetCohortBtn.addEventListener('click', resetCohortPanel);
+
+resetCohortPanel();
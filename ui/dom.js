@@ -0,0 +1,53 @@
+// Small DOM builders shared by the panels
+
+
+export function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    options.forEach(([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+export function createInput(type, value, onChange, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value == null ? '' : value;
+    if (placeholder) input.placeholder = placeholder;
+    if (type === 'number') input.step = 'any';
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+}
+
+export function createSmallButton(label, title, onClick, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-small';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Saves content as a file through a temporary link
+export function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+}
+
+export function downloadJSON(value, fileName) {
+    downloadFile(JSON.stringify(value, null, 2), fileName, 'application/json');
+}
+
+export function downloadHTML(html, fileName) {
+    downloadFile(html, fileName, 'text/html;charset=utf-8');
+}
@@ -0,0 +1,37 @@
+// Export formats, CSV layout, the data dictionary and the output shapes
+import { exportSettingsFromConfig } from '../core/export.js';
+import { getFeatureMap } from './profile-store.js';
+
+const exportFormatInputs = [...document.querySelectorAll('input[name="exportFormat"]')];
+const csvDelimiter = document.getElementById('csvDelimiter');
+const csvDecimal = document.getElementById('csvDecimal');
+const csvQuoting = document.getElementById('csvQuoting');
+const exportDictionary = document.getElementById('exportDictionary');
+const exportShapeInputs = [...document.querySelectorAll('input[name="exportShape"]')];
+const wideMaxVisits = document.getElementById('wideMaxVisits');
+const summaryColumns = document.getElementById('summaryColumns');
+
+export function getExportSettings() {
+    return {
+        formats: exportFormatInputs.filter(input => input.checked).map(input => input.value),
+        csv: { delimiter: csvDelimiter.value, decimal: csvDecimal.value, quoting: csvQuoting.value },
+        dictionary: exportDictionary.checked,
+        shapes: exportShapeInputs.filter(input => input.checked).map(input => input.value),
+        wide: { max_visits: Number(wideMaxVisits.value) },
+        summary: { columns: summaryColumns.value.split(',').map(col => col.trim()).filter(Boolean) }
+    };
+}
+
+export function resetExportPanel(featureMap) {
+    const settings = exportSettingsFromConfig(featureMap._config);
+    exportFormatInputs.forEach(input => { input.checked = settings.formats.includes(input.value); });
+    csvDelimiter.value = settings.csv.delimiter;
+    csvDecimal.value = settings.csv.decimal;
+    csvQuoting.value = settings.csv.quoting;
+    exportDictionary.checked = settings.dictionary;
+    exportShapeInputs.forEach(input => { input.checked = settings.shapes.includes(input.value); });
+    wideMaxVisits.value = settings.wide.max_visits;
+    summaryColumns.value = settings.summary.columns.join(', ');
+}
+
+resetExportPanel(getFeatureMap());
@@ -0,0 +1,84 @@
+// Key lookup page: resolves pseudonyms and PNR with a decrypted key file held in memory only
+import { decryptKeyTable } from '../core/keyfile.js';
+import { normalizePnr } from '../core/pseudonym.js';
+
+const keyFileInput = document.getElementById('keyFileInput');
+const lookupPassphrase = document.getElementById('lookupPassphrase');
+const unlockBtn = document.getElementById('unlockBtn');
+const keyFileMeta = document.getElementById('keyFileMeta');
+const lookupPanel = document.getElementById('lookupPanel');
+const lookupQuery = document.getElementById('lookupQuery');
+const lookupBtn = document.getElementById('lookupBtn');
+const lockBtn = document.getElementById('lockBtn');
+const status = document.getElementById('status');
+
+let byPnr = null;
+let byPseudonym = null;
+
+function showStatus(message, type) {
+    status.textContent = message;
+    status.className = 'status show ' + type;
+}
+
+function lock() {
+    byPnr = null;
+    byPseudonym = null;
+    lookupQuery.value = '';
+    lookupPanel.style.display = 'none';
+    keyFileMeta.textContent = '';
+}
+
+async function unlock() {
+    const file = keyFileInput.files[0];
+    if (!file) {
+        showStatus('Choose a key file first.', 'error');
+        return;
+    }
+
+    unlockBtn.disabled = true;
+    showStatus('Decrypting key file...', 'info');
+    try {
+        const keyFile = JSON.parse(await file.text());
+        const { meta, entries } = await decryptKeyTable(keyFile, lookupPassphrase.value);
+        byPnr = new Map(entries);
+        byPseudonym = new Map(entries.map(([pnr, pseudonym]) => [pseudonym, pnr]));
+
+        lookupPassphrase.value = '';
+        keyFileMeta.textContent = `${entries.length} patients from ${meta.source || 'unknown source'}, created ${keyFile.created}.`;
+        lookupPanel.style.display = 'block';
+        showStatus('Key file unlocked.', 'success');
+    } catch (error) {
+        lock();
+        showStatus(`✗ Error: ${error.message}`, 'error');
+    } finally {
+        unlockBtn.disabled = false;
+    }
+}
+
+function lookup() {
+    const query = lookupQuery.value.trim();
+    if (!query || !byPnr) return;
+
+    const pseudonym = byPseudonym.has(query) ? query : byPseudonym.has(query.toLowerCase()) ? query.toLowerCase() : null;
+    if (pseudonym) {
+        showStatus(`Pseudonym ${pseudonym} → PNR ${byPseudonym.get(pseudonym)}`, 'success');
+        return;
+    }
+
+    const pnr = normalizePnr(query) || query;
+    if (byPnr.has(pnr)) {
+        showStatus(`PNR ${pnr} → pseudonym ${byPnr.get(pnr)}`, 'success');
+        return;
+    }
+    showStatus(`${query} is not in this key file.`, 'error');
+}
+
+unlockBtn.addEventListener('click', unlock);
+lockBtn.addEventListener('click', () => {
+    lock();
+    showStatus('Key file locked.', 'info');
+});
+lookupBtn.addEventListener('click', lookup);
+lookupQuery.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') lookup();
+});
@@ -0,0 +1,185 @@
+// Preview of the anonymized rows with an action editor per column; nothing is exported until confirmed
+import { describeAction } from '../core/transforms.js';
+import { createInput, createSelect, createSmallButton } from './dom.js';
+
+export const previewPanel = document.getElementById('previewPanel');
+
+const PREVIEW_PAGE_SIZE = 20;
+
+const PREVIEW_PARAMETERS = {
+    noise: { label: '±', defaultValue: 1, build: value => Number(value) },
+    round: { label: 'step', defaultValue: 1, build: value => ({ type: 'round', step: Number(value) }) },
+    bin: { label: 'width', defaultValue: 5, build: value => ({ type: 'bin', width: Number(value) }) }
+};
+
+// The editor state for an action: one of keep/rm/scrub/noise/round/bin, or "configured"
+// for anything the editor cannot express (chains, recodes, other noise models...)
+function previewChoice(action) {
+    if (action === 'keep' || action === 'rm' || action === 'scrub') return { choice: action, parameter: null };
+    if (typeof action === 'number') return { choice: 'noise', parameter: action };
+    if (action && action.type === 'round' && Object.keys(action).length === 2) return { choice: 'round', parameter: action.step };
+    if (action && action.type === 'bin' && action.width && Object.keys(action).length === 2) return { choice: 'bin', parameter: action.width };
+    return { choice: 'configured', parameter: null };
+}
+
+function formatPreviewCell(value) {
+    return value == null ? '' : String(value);
+}
+
+function renderPreviewEditor(col, action, configured, onChange) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'preview-editor';
+    const current = previewChoice(action);
+
+    const options = [['keep', 'keep'], ['rm', 'rm'], ['scrub', 'scrub text'], ['noise', 'noise ±'], ['round', 'round'], ['bin', 'bin']];
+    if (previewChoice(configured).choice === 'configured') {
+        options.push(['configured', `config: ${describeAction(configured)}`]);
+    }
+
+    const parameter = createInput('number', current.parameter, value => {
+        onChange(PREVIEW_PARAMETERS[select.value].build(value));
+    });
+    parameter.disabled = !PREVIEW_PARAMETERS[current.choice];
+    const select = createSelect(options, current.choice, value => {
+        const spec = PREVIEW_PARAMETERS[value];
+        parameter.disabled = !spec;
+        if (spec) {
+            parameter.placeholder = spec.label;
+            if (parameter.value === '') parameter.value = spec.defaultValue;
+            onChange(spec.build(parameter.value));
+        } else {
+            onChange(value === 'configured' ? configured : value);
+        }
+    });
+    wrapper.append(select, parameter);
+    return wrapper;
+}
+
+// Resolves to true when the user exports, false when the run is cancelled. session:
+// { snapshot, setAction(col, action) } where setAction resolves to the next snapshot (see
+// createPreviewSession). options: { fixed: { column: label }, configured: [[column, action]] }
+export function reviewPreview(session, options) {
+    return new Promise(resolve => {
+        const configured = new Map(options.configured);
+        let snapshot = session.snapshot;
+        let actions = new Map(snapshot.actions);
+        let page = 0;
+        let showDiff = false;
+
+        const summary = document.createElement('p');
+        summary.className = 'panel-hint';
+        const error = document.createElement('p');
+        error.className = 'preview-error';
+        const tableWrapper = document.createElement('div');
+        tableWrapper.className = 'preview-table-wrapper';
+        const pager = document.createElement('p');
+        pager.className = 'panel-row';
+
+        const renderSummary = () => {
+            const risk = snapshot.risk;
+            summary.textContent = `${snapshot.totalRows} rows, ${snapshot.columns.length} columns in output. ` +
+                `k = ${risk.k} (minimum ${risk.minK}), ${risk.uniquePatients} unique patients.`;
+        };
+
+        const renderTable = () => {
+            const shown = snapshot.rows.length;
+            const pageCount = Math.max(1, Math.ceil(shown / PREVIEW_PAGE_SIZE));
+            page = Math.min(page, pageCount - 1);
+            const start = page * PREVIEW_PAGE_SIZE;
+            const end = Math.min(shown, start + PREVIEW_PAGE_SIZE);
+
+            const table = document.createElement('table');
+            table.className = 'preview-table';
+            const head = document.createElement('tr');
+            const allColumns = Object.keys(options.fixed).concat([...actions.keys()]);
+            allColumns.forEach(col => {
+                const th = document.createElement('th');
+                const name = document.createElement('div');
+                name.textContent = col;
+                th.appendChild(name);
+                if (options.fixed[col]) {
+                    const label = document.createElement('div');
+                    label.className = 'panel-hint';
+                    label.textContent = options.fixed[col];
+                    th.appendChild(label);
+                } else {
+                    th.appendChild(renderPreviewEditor(col, actions.get(col), configured.get(col), async action => {
+                        try {
+                            snapshot = await session.setAction(col, action);
+                            error.textContent = '';
+                        } catch (e) {
+                            error.textContent = `${col}: ${e.message}`;
+                            return;
+                        }
+                        actions = new Map(snapshot.actions);
+                        renderSummary();
+                        renderTable();
+                    }));
+                }
+                head.appendChild(th);
+            });
+            table.appendChild(head);
+
+            for (let i = start; i < end; i++) {
+                const tr = document.createElement('tr');
+                allColumns.forEach(col => {
+                    const td = document.createElement('td');
+                    if (!snapshot.columns.includes(col)) {
+                        td.className = 'preview-removed';
+                    } else {
+                        td.textContent = formatPreviewCell(snapshot.rows[i][col]);
+                        if (showDiff && formatPreviewCell(snapshot.rows[i][col]) !== formatPreviewCell(snapshot.original[i][col])) {
+                            td.className = 'preview-diff';
+                            td.title = `Original: ${formatPreviewCell(snapshot.original[i][col])}`;
+                        }
+                    }
+                    tr.appendChild(td);
+                });
+                table.appendChild(tr);
+            }
+            tableWrapper.innerHTML = '';
+            tableWrapper.appendChild(table);
+
+            pager.innerHTML = '';
+            pager.append(
+                createSmallButton('‹ Previous', 'Previous page', () => { page--; renderTable(); }, page === 0),
+                ` Rows ${shown === 0 ? 0 : start + 1}–${end} of the first ${shown} `,
+                createSmallButton('Next ›', 'Next page', () => { page++; renderTable(); }, page >= pageCount - 1)
+            );
+        };
+
+        previewPanel.innerHTML = `
+            <h2>Preview</h2>
+            <p class="panel-hint">Check the anonymized rows before exporting. Changing a column's action re-runs that column only; the changes apply to this run and are recorded in the manifest.</p>`;
+
+        const diffLabel = document.createElement('label');
+        diffLabel.className = 'panel-row';
+        const diffBox = document.createElement('input');
+        diffBox.type = 'checkbox';
+        diffBox.addEventListener('change', () => {
+            showDiff = diffBox.checked;
+            renderTable();
+        });
+        diffLabel.append(diffBox, ' Highlight cells that differ from the original');
+
+        const finish = result => {
+            previewPanel.innerHTML = '';
+            previewPanel.style.display = 'none';
+            resolve(result);
+        };
+        const buttons = document.createElement('p');
+        buttons.className = 'panel-row';
+        buttons.append(
+            createSmallButton('Export', 'Export the data with these actions', () => finish(true), false),
+            ' ',
+            createSmallButton('Cancel run', 'Stop without exporting', () => finish(false), false)
+        );
+
+        previewPanel.append(summary, error, diffLabel, tableWrapper, pager, buttons);
+        renderSummary();
+        renderTable();
+
+        previewPanel.style.display = 'block';
+        previewPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+}
@@ -0,0 +1,164 @@
+// Mapping profile panel: pick, edit, save, import and export profiles
+import { resolveColumn } from '../core/columns.js';
+import { createProfile, DEFAULT_PROFILE_NAME, validateProfile } from '../core/profiles.js';
+import { resetCohortPanel } from './cohort-panel.js';
+import { downloadJSON } from './dom.js';
+import { resetExportPanel } from './export-panel.js';
+import {
+    getActiveProfile, getFeatureMap, loadProfiles, saveProfile, storeActiveProfileName, storeProfiles,
+    uniqueProfileName
+} from './profile-store.js';
+import { resetRiskPanel } from './risk-panel.js';
+
+const profileSelect = document.getElementById('profileSelect');
+const profileName = document.getElementById('profileName');
+const profileEditor = document.getElementById('profileEditor');
+const profileMessage = document.getElementById('profileMessage');
+const profileFile = document.getElementById('profileFile');
+
+function showProfileMessage(text, isError) {
+    profileMessage.textContent = text;
+    profileMessage.className = isError ? 'panel-hint profile-error' : 'panel-hint';
+}
+
+function setActiveProfile(name) {
+    storeActiveProfileName(name);
+    renderProfilePanel();
+    resetCohortPanel();
+    resetRiskPanel(getFeatureMap());
+    resetExportPanel(getFeatureMap());
+}
+
+// Used by the reviews during a run. The built-in profile cannot change, so the
+// changes then go into a new profile that becomes the active one. The cohort and risk
+// panels are left alone: the run in progress keeps the settings it started with.
+function updateActiveFeatureMap(featureMap) {
+    const active = getActiveProfile();
+    if (active.name === DEFAULT_PROFILE_NAME) {
+        const profile = createProfile(uniqueProfileName(`${DEFAULT_PROFILE_NAME} with saved choices`), featureMap);
+        saveProfile(profile);
+        storeActiveProfileName(profile.name);
+    } else {
+        saveProfile({ ...active, updated: new Date().toISOString(), feature_map: featureMap });
+    }
+    renderProfilePanel();
+}
+
+export function saveChoicesToProfile(choices) {
+    updateActiveFeatureMap({ ...getFeatureMap(), ...choices });
+}
+
+// Confirmed header matches become aliases, so the next file with these headers maps without asking
+export function saveAliasesToProfile(matches) {
+    const featureMap = getFeatureMap();
+    const aliases = featureMap._config.aliases = featureMap._config.aliases || {};
+    matches.forEach(({ header, canonical }) => {
+        const names = aliases[canonical] = aliases[canonical] || [];
+        if (!names.includes(header)) names.push(header);
+    });
+    updateActiveFeatureMap(featureMap);
+}
+
+// Actions chosen for implausible values become the rules' own on_violation
+export function saveValidationActionsToProfile(actions) {
+    const featureMap = getFeatureMap();
+    const rules = (featureMap._config.validation || {}).rules || {};
+    Object.entries(actions).forEach(([col, action]) => {
+        const rule = rules[resolveColumn(Object.keys(rules), col)];
+        if (rule) rule.on_violation = action;
+    });
+    updateActiveFeatureMap(featureMap);
+}
+
+function readEditor() {
+    try {
+        return JSON.parse(profileEditor.value);
+    } catch (e) {
+        throw new Error(`The feature map is not valid JSON: ${e.message}`);
+    }
+}
+
+function renderProfilePanel() {
+    const active = getActiveProfile();
+    profileSelect.innerHTML = '';
+    profileSelect.appendChild(new Option(DEFAULT_PROFILE_NAME, DEFAULT_PROFILE_NAME));
+    Object.keys(loadProfiles()).sort().forEach(name => profileSelect.appendChild(new Option(name, name)));
+    profileSelect.value = active.name;
+    profileEditor.value = JSON.stringify(active.feature_map, null, 2);
+    document.getElementById('profileDelete').disabled = active.name === DEFAULT_PROFILE_NAME;
+    document.getElementById('profileSave').disabled = active.name === DEFAULT_PROFILE_NAME;
+}
+
+profileSelect.addEventListener('change', () => {
+    setActiveProfile(profileSelect.value);
+    showProfileMessage('', false);
+});
+
+document.getElementById('profileSave').addEventListener('click', () => {
+    try {
+        const active = getActiveProfile();
+        saveProfile({ ...active, updated: new Date().toISOString(), feature_map: readEditor() });
+        setActiveProfile(active.name);
+        showProfileMessage(`Saved "${active.name}".`, false);
+    } catch (e) {
+        showProfileMessage(e.message, true);
+    }
+});
+
+document.getElementById('profileSaveAs').addEventListener('click', () => {
+    try {
+        const name = profileName.value.trim();
+        if (!name) throw new Error('Enter a name for the new profile');
+        if (name === DEFAULT_PROFILE_NAME || loadProfiles()[name]) throw new Error(`A profile named "${name}" already exists`);
+        saveProfile(createProfile(name, readEditor()));
+        profileName.value = '';
+        setActiveProfile(name);
+        showProfileMessage(`Saved "${name}".`, false);
+    } catch (e) {
+        showProfileMessage(e.message, true);
+    }
+});
+
+document.getElementById('profileRevert').addEventListener('click', () => {
+    renderProfilePanel();
+    showProfileMessage('', false);
+});
+
+document.getElementById('profileDelete').addEventListener('click', () => {
+    const name = getActiveProfile().name;
+    const profiles = loadProfiles();
+    delete profiles[name];
+    storeProfiles(profiles);
+    setActiveProfile(DEFAULT_PROFILE_NAME);
+    showProfileMessage(`Deleted "${name}".`, false);
+});
+
+document.getElementById('profileExport').addEventListener('click', () => {
+    const profile = getActiveProfile();
+    downloadJSON(profile, `${profile.name.replace(/[^\w.-]+/g, '_')}.profile.json`);
+});
+
+document.getElementById('profileImport').addEventListener('click', () => profileFile.click());
+
+profileFile.addEventListener('change', async () => {
+    const file = profileFile.files[0];
+    profileFile.value = '';
+    if (!file) return;
+    try {
+        let profile;
+        try {
+            profile = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+        validateProfile(profile);
+        const name = uniqueProfileName(profile.name);
+        saveProfile({ ...profile, name });
+        setActiveProfile(name);
+        showProfileMessage(`Imported "${name}" from ${file.name}.`, false);
+    } catch (e) {
+        showProfileMessage(e.message, true);
+    }
+});
+
+renderProfilePanel();
@@ -0,0 +1,73 @@
+// Mapping profiles saved in the browser. config.js is the built-in default.
+import { FEATURE_MAP } from '../config.js';
+import { createProfile, DEFAULT_PROFILE_NAME, validateProfile } from '../core/profiles.js';
+
+const PROFILES_STORAGE_KEY = 'anonymizer.profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'anonymizer.activeProfile';
+// Column choices saved by earlier versions on top of config.js
+const LEGACY_MAPPING_STORAGE_KEY = 'anonymizer.savedMapping';
+
+export function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+export function storeProfiles(profiles) {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+function builtinProfile() {
+    return createProfile(DEFAULT_PROFILE_NAME, FEATURE_MAP);
+}
+
+export function getActiveProfile() {
+    const name = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    return loadProfiles()[name] || builtinProfile();
+}
+
+// A copy, so a run cannot change the stored profile
+export function getFeatureMap() {
+    return JSON.parse(JSON.stringify(getActiveProfile().feature_map));
+}
+
+export function storeActiveProfileName(name) {
+    if (name === DEFAULT_PROFILE_NAME) localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+    else localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+}
+
+export function uniqueProfileName(name) {
+    const profiles = loadProfiles();
+    let candidate = name;
+    for (let i = 2; candidate === DEFAULT_PROFILE_NAME || profiles[candidate]; i++) {
+        candidate = `${name} (${i})`;
+    }
+    return candidate;
+}
+
+export function saveProfile(profile) {
+    validateProfile(profile);
+    const profiles = loadProfiles();
+    profiles[profile.name] = profile;
+    storeProfiles(profiles);
+}
+
+function migrateLegacyMapping() {
+    let choices;
+    try {
+        choices = JSON.parse(localStorage.getItem(LEGACY_MAPPING_STORAGE_KEY));
+    } catch (e) {
+        choices = null;
+    }
+    localStorage.removeItem(LEGACY_MAPPING_STORAGE_KEY);
+    if (!choices || Object.keys(choices).length === 0) return;
+
+    const profile = createProfile(uniqueProfileName('Saved column choices'), { ...FEATURE_MAP, ...choices });
+    saveProfile(profile);
+    storeActiveProfileName(profile.name);
+}
+
+// Before any panel reads the active profile
+migrateLegacyMapping();
@@ -0,0 +1,257 @@
+// Review of suggested header matches, columns missing from the mapping profile, implausible
+// values and unreadable dates
+import { createInput, createSelect, createSmallButton } from './dom.js';
+import { saveAliasesToProfile, saveChoicesToProfile, saveValidationActionsToProfile } from './profile-panel.js';
+
+export const reviewPanel = document.getElementById('reviewPanel');
+
+// Resolves to the matches the user accepted, or null when the run is cancelled.
+// Close matches start ticked; the rest are left for the user to check.
+export function confirmHeaderMatches(suggestions, columnSamples) {
+    return new Promise(resolve => {
+        const accepted = new Set(suggestions.filter(match => match.similarity >= 0.9));
+
+        reviewPanel.innerHTML = `
+            <h2>Similar column names</h2>
+            <p class="panel-hint">These ${suggestions.length} headers are not in the mapping profile but look like columns it expects. Ticked headers are renamed; the others are treated as unmapped columns.</p>`;
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        table.innerHTML = '<thead><tr><th>Use</th><th>Header in file</th><th>Profile column</th><th>Similarity</th><th>Sample values</th></tr></thead>';
+        const body = document.createElement('tbody');
+
+        suggestions.forEach(match => {
+            const tr = document.createElement('tr');
+            const use = document.createElement('td');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = accepted.has(match);
+            box.addEventListener('change', () => {
+                if (box.checked) accepted.add(match);
+                else accepted.delete(match);
+            });
+            use.appendChild(box);
+            const header = document.createElement('td');
+            header.textContent = match.header;
+            const canonical = document.createElement('td');
+            canonical.textContent = match.canonical;
+            const similarity = document.createElement('td');
+            similarity.textContent = `${Math.round(match.similarity * 100)}%`;
+            const samples = document.createElement('td');
+            samples.className = 'review-samples';
+            samples.textContent = columnSamples[match.header].join(' · ') || '(empty)';
+
+            tr.append(use, header, canonical, similarity, samples);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        reviewPanel.appendChild(table);
+
+        const saveLabel = document.createElement('label');
+        saveLabel.className = 'panel-row';
+        const saveBox = document.createElement('input');
+        saveBox.type = 'checkbox';
+        saveLabel.append(saveBox, ' Save the ticked headers as aliases in the mapping profile');
+        reviewPanel.appendChild(saveLabel);
+
+        const finish = result => {
+            reviewPanel.innerHTML = '';
+            reviewPanel.style.display = 'none';
+            resolve(result);
+        };
+        const buttons = document.createElement('p');
+        buttons.className = 'panel-row';
+        const continueBtn = createSmallButton('Continue', 'Rename the ticked headers and continue', () => {
+            const matches = suggestions.filter(match => accepted.has(match));
+            if (saveBox.checked && matches.length > 0) saveAliasesToProfile(matches);
+            finish(matches);
+        }, false);
+        buttons.append(continueBtn, ' ', createSmallButton('Cancel run', 'Stop without exporting', () => finish(null), false));
+        reviewPanel.appendChild(buttons);
+
+        reviewPanel.style.display = 'block';
+        reviewPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+}
+
+// Resolves to the chosen actions when the user continues, or null when the run is cancelled
+export function reviewUnmappedColumns(unmapped, columnSamples) {
+    return new Promise(resolve => {
+        const choices = Object.fromEntries(unmapped.map(col => [col, 'rm']));
+
+        reviewPanel.innerHTML = `
+            <h2>Unmapped columns</h2>
+            <p class="panel-hint">These ${unmapped.length} columns are not listed in the mapping profile. They are removed unless you choose otherwise.</p>`;
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        table.innerHTML = '<thead><tr><th>Column</th><th>Sample values</th><th>Action</th></tr></thead>';
+        const body = document.createElement('tbody');
+
+        unmapped.forEach(col => {
+            const tr = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = col;
+            const samples = document.createElement('td');
+            samples.className = 'review-samples';
+            samples.textContent = columnSamples[col].join(' · ') || '(empty)';
+
+            const action = document.createElement('td');
+            const amplitude = createInput('number', 1.0, value => { choices[col] = Number(value); });
+            amplitude.disabled = true;
+            action.appendChild(createSelect([['rm', 'rm'], ['keep', 'keep'], ['scrub', 'scrub text'], ['noise', 'noise ±']], 'rm', value => {
+                amplitude.disabled = value !== 'noise';
+                choices[col] = value === 'noise' ? Number(amplitude.value) : value;
+            }));
+            action.appendChild(amplitude);
+
+            tr.append(name, samples, action);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        reviewPanel.appendChild(table);
+
+        const saveLabel = document.createElement('label');
+        saveLabel.className = 'panel-row';
+        const saveBox = document.createElement('input');
+        saveBox.type = 'checkbox';
+        saveLabel.append(saveBox, ' Save these choices to the mapping profile');
+        reviewPanel.appendChild(saveLabel);
+
+        const finish = result => {
+            reviewPanel.innerHTML = '';
+            reviewPanel.style.display = 'none';
+            resolve(result);
+        };
+        const buttons = document.createElement('p');
+        buttons.className = 'panel-row';
+        const continueBtn = createSmallButton('Continue', 'Apply these choices and continue', () => {
+            if (saveBox.checked) saveChoicesToProfile(choices);
+            finish(choices);
+        }, false);
+        buttons.append(continueBtn, ' ', createSmallButton('Cancel run', 'Stop without exporting', () => finish(null), false));
+        reviewPanel.appendChild(buttons);
+
+        reviewPanel.style.display = 'block';
+        reviewPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+}
+
+// dateCheck: { format, count, errors } with the first errors. Resolves to "drop", "flag" or "abort"
+export function reviewDateErrors(dateCheck, dateCol) {
+    return new Promise(resolve => {
+        const shown = dateCheck.errors.slice(0, 20);
+        reviewPanel.innerHTML = `
+            <h2>Unreadable dates</h2>
+            <p class="panel-hint">${dateCheck.count} values in ${dateCol} could not be read as ${dateCheck.format}.</p>`;
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        table.innerHTML = '<thead><tr><th>Sheet row</th><th>Value</th></tr></thead>';
+        const body = document.createElement('tbody');
+        shown.forEach(error => {
+            const tr = document.createElement('tr');
+            const row = document.createElement('td');
+            row.textContent = error.row;
+            const value = document.createElement('td');
+            value.className = 'review-samples';
+            value.textContent = error.value || '(empty)';
+            tr.append(row, value);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        reviewPanel.appendChild(table);
+        if (dateCheck.count > shown.length) {
+            const more = document.createElement('p');
+            more.className = 'panel-hint';
+            more.textContent = `...and ${dateCheck.count - shown.length} more.`;
+            reviewPanel.appendChild(more);
+        }
+
+        const finish = result => {
+            reviewPanel.innerHTML = '';
+            reviewPanel.style.display = 'none';
+            resolve(result);
+        };
+        const buttons = document.createElement('p');
+        buttons.className = 'panel-row';
+        buttons.append(
+            createSmallButton('Drop rows', 'Leave these rows out of the export', () => finish('drop'), false), ' ',
+            createSmallButton('Flag rows', `Keep the rows with an empty date and ${dateCol}_unparsed = 1`, () => finish('flag'), false), ' ',
+            createSmallButton('Cancel run', 'Stop without exporting', () => finish('abort'), false)
+        );
+        reviewPanel.appendChild(buttons);
+
+        reviewPanel.style.display = 'block';
+        reviewPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+}
+
+
+// rules: the validation rules with problems, as describeViolations gives them. Resolves to
+// { column: "coerce" | "blank" | "drop" | "abort" }, or null when the run is cancelled
+export function reviewImplausibleValues(rules) {
+    return new Promise(resolve => {
+        const choices = Object.fromEntries(rules.map(rule => [rule.column, 'blank']));
+        const count = rules.reduce((sum, rule) => sum + rule.violations, 0);
+
+        reviewPanel.innerHTML = `
+            <h2>Implausible values</h2>
+            <p class="panel-hint">${count} values in ${rules.length} columns break the validation rules of the mapping profile. They are blanked unless you choose otherwise.</p>`;
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        table.innerHTML = '<thead><tr><th>Column</th><th>Rule</th><th>Problems</th><th>Action</th></tr></thead>';
+        const body = document.createElement('tbody');
+
+        rules.forEach(rule => {
+            const tr = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = rule.column;
+            const description = document.createElement('td');
+            description.textContent = rule.rule;
+            const problems = document.createElement('td');
+            problems.className = 'review-samples';
+            Object.values(rule.problems).forEach(problem => {
+                const line = document.createElement('div');
+                const more = problem.count > problem.rows.length ? ', ...' : '';
+                line.textContent = `${problem.count} ${problem.label}: ${problem.examples.join(' · ')} (sheet rows ${problem.rows.join(', ')}${more}); coerce: ${problem.coerce}`;
+                problems.appendChild(line);
+            });
+
+            const action = document.createElement('td');
+            action.appendChild(createSelect([['blank', 'blank'], ['coerce', 'coerce'], ['drop', 'drop rows'], ['abort', 'stop the run']], 'blank', value => {
+                choices[rule.column] = value;
+            }));
+
+            tr.append(name, description, problems, action);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        reviewPanel.appendChild(table);
+
+        const saveLabel = document.createElement('label');
+        saveLabel.className = 'panel-row';
+        const saveBox = document.createElement('input');
+        saveBox.type = 'checkbox';
+        saveLabel.append(saveBox, ' Save these choices to the rules in the mapping profile');
+        reviewPanel.appendChild(saveLabel);
+
+        const finish = result => {
+            reviewPanel.innerHTML = '';
+            reviewPanel.style.display = 'none';
+            resolve(result);
+        };
+        const buttons = document.createElement('p');
+        buttons.className = 'panel-row';
+        const continueBtn = createSmallButton('Continue', 'Apply these choices and continue', () => {
+            if (saveBox.checked) saveValidationActionsToProfile(choices);
+            finish(choices);
+        }, false);
+        buttons.append(continueBtn, ' ', createSmallButton('Cancel run', 'Stop without exporting', () => finish(null), false));
+        reviewPanel.appendChild(buttons);
+
+        reviewPanel.style.display = 'block';
+        reviewPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+}
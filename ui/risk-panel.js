@@ -0,0 +1,97 @@
+// Disclosure risk settings and the report shown before download
+import { riskCandidateColumns, riskSettingsFromConfig } from '../core/risk.js';
+import { createSmallButton, downloadJSON } from './dom.js';
+import { getFeatureMap } from './profile-store.js';
+
+const riskQuasiIdentifiers = document.getElementById('riskQuasiIdentifiers');
+const riskVisitCount = document.getElementById('riskVisitCount');
+const riskSensitive = document.getElementById('riskSensitive');
+const riskMinK = document.getElementById('riskMinK');
+const riskMode = document.getElementById('riskMode');
+
+export function getRiskSettings() {
+    return {
+        quasiIdentifiers: [...riskQuasiIdentifiers.querySelectorAll('input:checked')].map(input => input.value),
+        includeVisitCount: riskVisitCount.checked,
+        sensitive: riskSensitive.value || null,
+        minK: Number(riskMinK.value) || 1,
+        belowMinK: riskMode.value
+    };
+}
+
+export function resetRiskPanel(featureMap) {
+    const settings = riskSettingsFromConfig(featureMap);
+    const candidates = riskCandidateColumns(featureMap);
+
+    riskQuasiIdentifiers.innerHTML = '';
+    candidates.forEach(col => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = col;
+        box.checked = settings.quasiIdentifiers.includes(col);
+        label.append(box, ` ${col}`);
+        riskQuasiIdentifiers.appendChild(label);
+    });
+
+    riskSensitive.innerHTML = '';
+    riskSensitive.appendChild(new Option('(none)', ''));
+    candidates.forEach(col => riskSensitive.appendChild(new Option(col, col)));
+    riskSensitive.value = settings.sensitive || '';
+
+    riskVisitCount.checked = settings.includeVisitCount;
+    riskMinK.value = settings.minK;
+    riskMode.value = settings.belowMinK;
+}
+
+function formatPercent(fraction) {
+    return `${(fraction * 100).toFixed(1)}%`;
+}
+
+// Builds the report element; onDownload is offered as "Download anyway" when k is too low in warn mode
+export function renderRiskReport(report, settings, onDownload, reportFileName) {
+    const container = document.createElement('div');
+    container.className = 'risk-report ' + (report.passes ? 'risk-ok' : 'risk-low');
+
+    const qiNames = [...report.quasiIdentifiers];
+    if (report.includeVisitCount) qiNames.push('visit count');
+
+    const lines = [
+        `Quasi-identifiers: ${qiNames.join(', ') || '(none)'}`,
+        `Equivalence classes: ${report.equivalenceClasses} over ${report.patients} patients (${report.records} rows)`,
+        `k-anonymity: k = ${report.k} (minimum ${report.minK})`,
+        `Unique patients: ${report.uniquePatients} (${formatPercent(report.uniquePatientFraction)})`,
+        `Class sizes: ${Object.entries(report.classSizeHistogram).map(([size, count]) => `${size}: ${count}`).join(', ')}`
+    ];
+    if (report.sensitive) {
+        lines.push(`l-diversity for ${report.sensitive}: l = ${report.l}`);
+    }
+    if (report.missingQuasiIdentifiers.length > 0) {
+        lines.push(`Not in output (ignored): ${report.missingQuasiIdentifiers.join(', ')}`);
+    }
+
+    const heading = document.createElement('strong');
+    heading.textContent = report.passes
+        ? `Disclosure risk: k = ${report.k}, meets the minimum of ${report.minK}.`
+        : `Disclosure risk: k = ${report.k} is below the minimum of ${report.minK}.`;
+    const pre = document.createElement('pre');
+    pre.textContent = lines.join('\n');
+    container.append(heading, pre);
+
+    const buttons = document.createElement('p');
+    buttons.appendChild(createSmallButton('Export risk report (JSON)', 'Download this report as JSON', () => {
+        downloadJSON(report, reportFileName);
+    }, false));
+    if (!report.passes && settings.belowMinK !== 'block') {
+        const anyway = createSmallButton('Download anyway', 'Download the data although k is below the minimum', () => {
+            anyway.disabled = true;
+            onDownload();
+        }, false);
+        buttons.append(' ', anyway);
+    }
+    container.appendChild(buttons);
+
+    return container;
+}
+
+resetRiskPanel(getFeatureMap());
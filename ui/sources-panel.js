@@ -0,0 +1,72 @@
+// Input sources: the sheets of every selected file, ticked when they are to be read
+import { XLSX } from '../core/xlsx.js';
+
+const sourceList = document.getElementById('sourceList');
+
+let loadedBooks = Promise.resolve([]);
+let sourceSelection = [];
+
+// Only the sheet names are read here; the run reads the sheets themselves
+async function readWorkbookFile(file) {
+    return {
+        name: file.name,
+        file,
+        sheetNames: XLSX.read(await file.arrayBuffer(), { type: 'array', bookSheets: true }).SheetNames
+    };
+}
+
+function renderSourceList(books) {
+    sourceList.innerHTML = '';
+    books.forEach(book => {
+        const row = document.createElement('p');
+        row.className = 'panel-row';
+        const name = document.createElement('strong');
+        name.textContent = book.name;
+        row.appendChild(name);
+        book.sheetNames.forEach(sheet => {
+            const entry = sourceSelection.find(source => source.book === book && source.sheet === sheet);
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = entry.selected;
+            box.addEventListener('change', () => { entry.selected = box.checked; });
+            label.append(box, ` ${sheet}`);
+            row.append(' ', label);
+        });
+        sourceList.appendChild(row);
+    });
+    if (sourceSelection.length > 1) {
+        const hint = document.createElement('p');
+        hint.className = 'panel-hint';
+        hint.textContent = 'Ticked sheets with the same columns are stacked; the others are joined to them by PNR and DATUM (see _config.merge).';
+        sourceList.appendChild(hint);
+    }
+}
+
+// The first sheet of each file starts ticked
+export function loadSources(files) {
+    sourceList.textContent = 'Reading...';
+    loadedBooks = Promise.all(files.map(readWorkbookFile));
+    loadedBooks.then(books => {
+        sourceSelection = books.flatMap(book => book.sheetNames.map((sheet, i) => ({ book, sheet, selected: i === 0 })));
+        renderSourceList(books);
+    }, e => {
+        sourceList.textContent = e.message;
+    });
+}
+
+// { files: [{ name, data }], sheets: [{ file, sheet }] } for the ticked sheets, "file" being
+// an index into files. Only files with a ticked sheet are read.
+export async function readSelectedSources() {
+    await loadedBooks;
+    const files = [];
+    const sheets = [];
+    for (const { book, sheet } of sourceSelection.filter(source => source.selected)) {
+        let index = files.findIndex(file => file.book === book);
+        if (index === -1) {
+            index = files.push({ name: book.name, book, data: await book.file.arrayBuffer() }) - 1;
+        }
+        sheets.push({ file: index, sheet });
+    }
+    return { files: files.map(({ name, data }) => ({ name, data })), sheets };
+}
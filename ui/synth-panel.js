@@ -0,0 +1,99 @@
+// Synthetic test data panel: a generated workbook to download or to load as the input
+import { generateSeed } from '../core/random.js';
+import { describeSyntheticData, SYNTH_DEFAULTS, syntheticWorkbook } from '../core/synth.js';
+import { downloadFile } from './dom.js';
+import { getFeatureMap } from './profile-store.js';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const synthPatients = document.getElementById('synthPatients');
+const synthVisitsMin = document.getElementById('synthVisitsMin');
+const synthVisitsMax = document.getElementById('synthVisitsMax');
+const synthSeed = document.getElementById('synthSeed');
+const synthVmax = document.getElementById('synthVmax');
+const synthIndik = document.getElementById('synthIndik');
+const synthDownload = document.getElementById('synthDownload');
+const synthLoad = document.getElementById('synthLoad');
+const synthMessage = document.getElementById('synthMessage');
+// Shares shown as percentages, header counts as they are
+const percentInputs = {
+    mixed_dates: document.getElementById('synthMixedDates'),
+    nine_digit_dates: document.getElementById('synthNineDigitDates'),
+    decimal_commas: document.getElementById('synthDecimalCommas'),
+    pnr_in_text: document.getElementById('synthPnrInText')
+};
+const countInputs = {
+    renamed_headers: document.getElementById('synthRenamedHeaders'),
+    duplicated_headers: document.getElementById('synthDuplicatedHeaders')
+};
+
+const toPercent = share => Math.round(share * 1000) / 10;
+
+function showSynthMessage(lines, isError) {
+    synthMessage.textContent = '';
+    lines.forEach((line, i) => synthMessage.append(i > 0 ? document.createElement('br') : '', line));
+    synthMessage.className = isError ? 'panel-hint profile-error' : 'panel-hint';
+}
+
+// "8: 30, 3: 10" as { 8: 0.3, 3: 0.1 }
+function parseIndikPrevalence(text) {
+    const prevalence = {};
+    text.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(/^(\S+)\s*[:=]\s*(\d+(?:[.,]\d+)?)\s*%?$/);
+        if (!match) throw new Error(`INDIK prevalence "${entry}" is not written as code: percent`);
+        prevalence[match[1]] = Number(match[2].replace(',', '.')) / 100;
+    });
+    return prevalence;
+}
+
+export function getSynthOptions() {
+    return {
+        patients: Number(synthPatients.value),
+        visits: [Number(synthVisitsMin.value), Number(synthVisitsMax.value)],
+        seed: synthSeed.value.trim() || generateSeed(),
+        vmax_prevalence: Number(synthVmax.value) / 100,
+        indik_prevalence: parseIndikPrevalence(synthIndik.value),
+        messiness: {
+            ...Object.fromEntries(Object.entries(percentInputs).map(([key, input]) => [key, Number(input.value) / 100])),
+            ...Object.fromEntries(Object.entries(countInputs).map(([key, input]) => [key, Number(input.value)]))
+        }
+    };
+}
+
+function resetSynthPanel() {
+    synthPatients.value = SYNTH_DEFAULTS.patients;
+    [synthVisitsMin.value, synthVisitsMax.value] = SYNTH_DEFAULTS.visits;
+    synthSeed.value = SYNTH_DEFAULTS.seed;
+    synthVmax.value = toPercent(SYNTH_DEFAULTS.vmax_prevalence);
+    synthIndik.value = Object.entries(SYNTH_DEFAULTS.indik_prevalence).map(([code, share]) => `${code}: ${toPercent(share)}`).join(', ');
+    Object.entries(percentInputs).forEach(([key, input]) => { input.value = toPercent(SYNTH_DEFAULTS.messiness[key]); });
+    Object.entries(countInputs).forEach(([key, input]) => { input.value = SYNTH_DEFAULTS.messiness[key]; });
+}
+
+// The workbook for the panel's settings, its contents listed below the buttons; null on
+// settings that cannot make one
+function generateWorkbook() {
+    try {
+        const workbook = syntheticWorkbook(getFeatureMap(), getSynthOptions());
+        showSynthMessage(describeSyntheticData(workbook.report));
+        return workbook;
+    } catch (e) {
+        showSynthMessage([e.message], true);
+        return null;
+    }
+}
+
+// handler(file) gets the workbook as a File, to be read like one the user chose
+export function onSyntheticLoad(handler) {
+    synthLoad.addEventListener('click', () => {
+        const workbook = generateWorkbook();
+        if (workbook) handler(new File([workbook.data], workbook.name, { type: XLSX_TYPE }));
+    });
+}
+
+synthDownload.addEventListener('click', () => {
+    const workbook = generateWorkbook();
+    if (workbook) downloadFile(workbook.data, workbook.name, XLSX_TYPE);
+});
+
+resetSynthPanel();
@@ -0,0 +1,149 @@
+// Utility report shown after a run: summary statistics, overlaid histograms and correlation drift
+import { createSmallButton, downloadHTML, downloadJSON } from './dom.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function formatStat(value) {
+    if (value === null || value === undefined) return '–';
+    return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2);
+}
+
+function formatSummary(summary) {
+    if (!summary) return 'not numeric';
+    return `${formatStat(summary.mean)} ± ${formatStat(summary.sd)}, median ${formatStat(summary.median)} (IQR ${formatStat(summary.iqr)})`;
+}
+
+// Original values in grey, anonymized in blue, drawn on the same bins
+function renderHistogram(histogram) {
+    const width = 160;
+    const height = 40;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('class', 'utility-histogram');
+    if (!histogram) return svg;
+
+    const peak = Math.max(1, ...histogram.before, ...histogram.after);
+    const barWidth = width / histogram.before.length;
+    [['before', '#999'], ['after', '#1e88e5']].forEach(([series, color]) => {
+        histogram[series].forEach((count, i) => {
+            const barHeight = (count / peak) * height;
+            const rect = document.createElementNS(SVG_NS, 'rect');
+            rect.setAttribute('x', i * barWidth);
+            rect.setAttribute('y', height - barHeight);
+            rect.setAttribute('width', Math.max(1, barWidth - 1));
+            rect.setAttribute('height', barHeight);
+            rect.setAttribute('fill', color);
+            rect.setAttribute('fill-opacity', '0.5');
+            svg.appendChild(rect);
+        });
+    });
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${formatStat(histogram.min)} to ${formatStat(histogram.max)}; grey = original, blue = anonymized`;
+    svg.appendChild(title);
+    return svg;
+}
+
+function renderCorrelationTable(correlations) {
+    const table = document.createElement('table');
+    table.className = 'utility-table';
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('th'));
+    correlations.columns.forEach(col => {
+        const th = document.createElement('th');
+        th.textContent = col;
+        head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    correlations.columns.forEach((col, i) => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = col;
+        tr.appendChild(th);
+        correlations.columns.forEach((other, j) => {
+            const td = document.createElement('td');
+            const before = correlations.before[i][j];
+            const after = correlations.after[i][j];
+            td.textContent = i === j ? '' : `${formatStat(before)} → ${formatStat(after)}`;
+            if (correlations.drift[i][j] !== null && Math.abs(correlations.drift[i][j]) >= 0.1) td.className = 'utility-drift';
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    return table;
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// A standalone copy of the report for the HTML download
+function utilityReportHTML(content, title) {
+    title = escapeHTML(title);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: sans-serif; font-size: 13px; }
+.utility-table { border-collapse: collapse; margin: 8px 0; }
+.utility-table th, .utility-table td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: middle; }
+.utility-drift { background: #fff3e0; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${content.innerHTML}
+</body>
+</html>`;
+}
+
+export function renderUtilityReport(report, baseName) {
+    const container = document.createElement('div');
+    container.className = 'utility-report';
+    const content = document.createElement('div');
+
+    const heading = document.createElement('strong');
+    heading.textContent = `Utility: ${report.columns.length} numeric columns over ${report.rows} rows`;
+    content.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'utility-table';
+    table.innerHTML = '<tr><th>Column</th><th>Action</th><th>Original</th><th>Anonymized</th><th>Max change</th><th>Distribution</th></tr>';
+    report.columns.forEach(entry => {
+        const tr = document.createElement('tr');
+        [entry.column, entry.action, formatSummary(entry.before), formatSummary(entry.after), formatStat(entry.maxAbsChange)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        const chart = document.createElement('td');
+        chart.appendChild(renderHistogram(entry.histogram));
+        tr.appendChild(chart);
+        table.appendChild(tr);
+    });
+    content.appendChild(table);
+
+    if (report.correlations.columns.length > 1) {
+        const corrHeading = document.createElement('p');
+        corrHeading.textContent = `Correlations, original → anonymized (largest drift ${formatStat(report.correlations.maxDrift)}; shaded where it is 0.1 or more):`;
+        content.append(corrHeading, renderCorrelationTable(report.correlations));
+    }
+    container.appendChild(content);
+
+    const buttons = document.createElement('p');
+    buttons.append(
+        createSmallButton('Export utility report (HTML)', 'Download this report as a web page', () => {
+            downloadHTML(utilityReportHTML(content, `Utility report: ${baseName}`), baseName + '.utility.html');
+        }, false),
+        ' ',
+        createSmallButton('Export utility report (JSON)', 'Download this report as JSON', () => {
+            downloadJSON(report, baseName + '.utility.json');
+        }, false)
+    );
+    container.appendChild(buttons);
+
+    return container;
+}
@@ -0,0 +1,113 @@
+// Starts a run in worker.js, or in the page where workers cannot be created (some
+// browsers refuse them for pages opened from file://). The single-file build carries the
+// worker's code in the page as #workerSource and starts it from a blob: URL instead.
+// Returns { promise, cancel }; the promise resolves to the result of runPipeline,
+// { cancelled: true } once cancelled.
+// handlers: { progress(percent, text), ask(kind, payload), preview(session, details) }
+import { runPipeline } from '../core/pipeline.js';
+
+let inlineWorkerUrl = null;
+
+function createWorker() {
+    const source = document.getElementById('workerSource');
+    if (!source) return new Worker(new URL('../worker.js', import.meta.url), { type: 'module' });
+    inlineWorkerUrl = inlineWorkerUrl || URL.createObjectURL(new Blob([source.textContent], { type: 'text/javascript' }));
+    return new Worker(inlineWorkerUrl);
+}
+
+export function startPipeline(input, handlers) {
+    let worker;
+    try {
+        worker = createWorker();
+    } catch (e) {
+        return startPipelineInPage(input, handlers);
+    }
+
+    const pending = new Map();
+    let nextId = 0;
+    let cancel;
+    const promise = new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            pending.clear();
+        };
+        const request = (type, fields) => new Promise((resolveReply, rejectReply) => {
+            const id = nextId++;
+            pending.set(id, { resolve: resolveReply, reject: rejectReply });
+            worker.postMessage({ type, id, ...fields });
+        });
+        cancel = () => {
+            finish();
+            resolve({ cancelled: true });
+        };
+
+        worker.onerror = event => {
+            finish();
+            reject(new Error(event.message || 'The worker could not be started'));
+        };
+        worker.onmessage = async ({ data: message }) => {
+            // A handler that throws ends the run; the worker would otherwise wait for its answer
+            try {
+                if (message.type === 'progress') {
+                    handlers.progress(message.percent, message.text);
+                } else if (message.type === 'ask') {
+                    const value = message.kind === 'preview'
+                        ? await handlers.preview({
+                            snapshot: message.payload.snapshot,
+                            setAction: (col, action) => request('preview-action', { col, action })
+                        }, message.payload)
+                        : await handlers.ask(message.kind, message.payload);
+                    worker.postMessage({ type: 'answer', id: message.id, value });
+                } else if (message.type === 'reply') {
+                    const reply = pending.get(message.id);
+                    pending.delete(message.id);
+                    if (!reply) return;
+                    if (message.error) reply.reject(new Error(message.error));
+                    else reply.resolve(message.value);
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            } catch (e) {
+                finish();
+                reject(e);
+            }
+        };
+        // The file contents are moved to the worker, not copied
+        worker.postMessage({ type: 'run', input }, input.files.map(file => file.data));
+    });
+    return { promise, cancel };
+}
+
+// The same run on the page's thread. Cancelling returns at once; the run itself stops
+// at its next progress update.
+function startPipelineInPage(input, handlers) {
+    let cancelled = false;
+    let resolveCancel;
+    const cancelledRun = new Promise(resolve => { resolveCancel = resolve; });
+    const hooks = {
+        progress(percent, text) {
+            if (cancelled) throw new Error('Run cancelled');
+            handlers.progress(percent, text);
+        },
+        ask: handlers.ask,
+        preview: (session, details) => handlers.preview({
+            snapshot: session.snapshot(),
+            setAction: async (col, action) => session.setAction(col, action)
+        }, details)
+    };
+    const run = runPipeline(input, hooks).catch(error => {
+        if (cancelled) return { cancelled: true };
+        throw error;
+    });
+    return {
+        promise: Promise.race([run, cancelledRun]),
+        cancel: () => {
+            cancelled = true;
+            resolveCancel({ cancelled: true });
+        }
+    };
+}
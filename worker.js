@@ -0,0 +1,49 @@
+// Runs the pipeline off the page's thread; ui/worker-client.js is the other end.
+// Questions for the user (header matches, unmapped columns, dates, the preview) are
+// posted as "ask" messages and wait for an "answer".
+import { runPipeline } from './core/pipeline.js';
+import { useXLSX } from './core/xlsx.js';
+import * as XLSX from './vendor/xlsx/xlsx.mjs';
+
+useXLSX(XLSX);
+
+const pendingAnswers = new Map();
+let nextAskId = 0;
+let previewSession = null;
+
+function ask(kind, payload) {
+    return new Promise(resolve => {
+        const id = nextAskId++;
+        pendingAnswers.set(id, resolve);
+        postMessage({ type: 'ask', id, kind, payload });
+    });
+}
+
+const hooks = {
+    progress: (percent, text) => postMessage({ type: 'progress', percent, text }),
+    ask,
+    preview(session, details) {
+        previewSession = session;
+        return ask('preview', { ...details, snapshot: session.snapshot() });
+    }
+};
+
+onmessage = async ({ data: message }) => {
+    if (message.type === 'run') {
+        try {
+            postMessage({ type: 'done', result: await runPipeline(message.input, hooks) });
+        } catch (e) {
+            postMessage({ type: 'error', message: e.message });
+        }
+    } else if (message.type === 'answer') {
+        const resolve = pendingAnswers.get(message.id);
+        pendingAnswers.delete(message.id);
+        resolve(message.value);
+    } else if (message.type === 'preview-action') {
+        try {
+            postMessage({ type: 'reply', id: message.id, value: previewSession.setAction(message.col, message.action) });
+        } catch (e) {
+            postMessage({ type: 'reply', id: message.id, error: e.message });
+        }
+    }
+};